@@ -14,36 +14,182 @@ const CONFIG = {
         WEATHER_FORECAST: 'https://api.data.gov.sg/v1/environment/4-day-weather-forecast',
         WEATHER_HUMIDITY: 'https://api.data.gov.sg/v1/environment/relative-humidity',
         MAPS: 'https://api.mapbox.com/styles/v1/mapbox/streets-v12',
+        // Optional squad backend for joins, RSVPs and impact logs (queued by sw.js while offline).
+        // Empty keeps everything on this device: nothing is sent or queued.
+        SYNC: '',
     },
     DEBOUNCE_DELAY: 300,
     ANIMATION_DURATION: 300,
     WEATHER_CACHE_TIME: 600000, // 10 minutes cache
+    // Weather data source: 'nea' (live API) or 'fixture' (recorded NEA responses, no network)
+    WEATHER_PROVIDER: 'nea',
+    WEATHER_FIXTURES: {
+        FORECAST: 'fixtures/nea/4-day-weather-forecast.json',
+        TEMPERATURE: 'fixtures/nea/air-temperature.json',
+        HUMIDITY: 'fixtures/nea/relative-humidity.json',
+        REBASE_DATES: true, // shift recorded forecast dates so the first day is today
+    },
+    CLEANUP_DURATION: 10800000, // 3 hours, used to tell active from past events
+    CHECK_IN: {
+        OPENS_BEFORE: 3600000, // crew can scan in from 1 hour before the start
+        CLOSES_AFTER: 3600000, // until 1 hour after the cleanup ends
+    },
+    CALENDAR_REMINDER_MINUTES: 120, // alarm on exported .ics events
+    REMINDER_CHECK_INTERVAL: 60000, // how often due reminders are looked for while the app is open
+    MAP: {
+        // Raster tiles from the API.MAPS style; without a token only the bundled outline is drawn
+        ACCESS_TOKEN: '',
+        TILE_ZOOM: 11,
+        BOUNDS: { north: 1.48, south: 1.2, west: 103.59, east: 104.1 },
+        COASTLINE: 'data/singapore-coastline.json',
+    },
+    LOCALES: 'data/locales', // message catalogues other than English
+    TIDES: {
+        FILE: 'data/tides.json', // predicted high and low tides per station and day
+        STATION: 'tanjong-pagar', // shown on the island-wide forecast cards
+        HIGH_TIDE_WINDOW: 3600000, // 1 hour either side of high tide
+    },
+    PERFORMANCE: {
+        // Web Vitals are beaconed here when the page is hidden. Off ('') by default; set it to
+        // a collector you run (e.g. '/api/vitals') to turn reporting on
+        ENDPOINT: '',
+    },
+};
+
+// Singapore's four official languages; the locale drives date and number formatting
+const LANGUAGES = {
+    en: { name: 'English', locale: 'en-SG' },
+    zh: { name: '中文', locale: 'zh-Hans-SG' },
+    ms: { name: 'Bahasa Melayu', locale: 'ms-SG' },
+    ta: { name: 'தமிழ்', locale: 'ta-SG' }
+};
+const DEFAULT_LANGUAGE = 'en';
+
+// Default cleanup filters and sort order (also the values omitted from the URL)
+const DEFAULT_FILTERS = {
+    status: 'all',
+    difficulty: 'all',
+    maxDistance: null,
+    sort: 'soonest'
+};
+
+// Known beaches, used to place a "Preferred Beach" when location access is denied
+const BEACH_LOCATIONS = [
+    { name: 'Pasir Ris Beach', aliases: ['pasir ris'], lat: 1.381497, lng: 103.955574 },
+    { name: 'Changi Beach', aliases: ['changi'], lat: 1.390870, lng: 103.991050 },
+    { name: 'Punggol Beach', aliases: ['punggol'], lat: 1.413650, lng: 103.910150 },
+    { name: 'Coney Island', aliases: ['coney', 'serangoon island'], lat: 1.409450, lng: 103.921720 },
+    { name: 'East Coast Park', aliases: ['east coast', 'bedok'], lat: 1.301120, lng: 103.912300 },
+    { name: 'Tanah Merah Beach', aliases: ['tanah merah'], lat: 1.317700, lng: 103.990400 },
+    { name: 'Sentosa', aliases: ['siloso', 'palawan', 'tanjong beach'], lat: 1.249400, lng: 103.818950 },
+    { name: 'Labrador Park', aliases: ['labrador'], lat: 1.266500, lng: 103.802300 },
+    { name: 'West Coast Park', aliases: ['west coast'], lat: 1.295531, lng: 103.763428 },
+    { name: 'Sembawang Park', aliases: ['sembawang'], lat: 1.461450, lng: 103.836550 }
+];
+
+// Avatar choices for crew members
+const CREW_AVATARS = ['🏄', '🐢', '🐬', '🦀', '🐠', '🐚', '🦈', '🌊'];
+
+const CREW_ROLES = ['organiser', 'member'];
+
+const CLEANUP_DIFFICULTIES = ['beginner', 'experienced'];
+
+// Debris categories from the International Coastal Cleanup (ICC) data card
+// Labels are the litterGroup.<group> and litter.<id> messages
+const LITTER_GROUPS = ['common', 'fishing', 'packaging', 'hygiene', 'tiny'];
+
+const LITTER_CATEGORIES = [
+    { id: 'cigarette-butts', group: 'common' },
+    { id: 'food-wrappers', group: 'common' },
+    { id: 'takeaway-plastic', group: 'common' },
+    { id: 'takeaway-foam', group: 'common' },
+    { id: 'bottle-caps-plastic', group: 'common' },
+    { id: 'bottle-caps-metal', group: 'common' },
+    { id: 'lids-plastic', group: 'common' },
+    { id: 'straws', group: 'common' },
+    { id: 'cutlery', group: 'common' },
+    { id: 'bottles-plastic', group: 'common' },
+    { id: 'bottles-glass', group: 'common' },
+    { id: 'beverage-cans', group: 'common' },
+    { id: 'grocery-bags', group: 'common' },
+    { id: 'other-bags', group: 'common' },
+    { id: 'cups-plates', group: 'common' },
+    { id: 'fishing-line', group: 'fishing' },
+    { id: 'fishing-nets', group: 'fishing' },
+    { id: 'rope', group: 'fishing' },
+    { id: 'fishing-gear', group: 'fishing' },
+    { id: 'six-pack-holders', group: 'packaging' },
+    { id: 'strapping-bands', group: 'packaging' },
+    { id: 'other-packaging', group: 'packaging' },
+    { id: 'face-masks', group: 'hygiene' },
+    { id: 'diapers', group: 'hygiene' },
+    { id: 'foam-pieces', group: 'tiny' },
+    { id: 'plastic-pieces', group: 'tiny' },
+    { id: 'glass-pieces', group: 'tiny' }
+];
+
+// Backup file format; bump when the shape of a backed-up key changes
+const BACKUP_VERSION = 2;
+const BACKUP_KEYS = ['user_profile', 'crew_roster', 'cleanups', 'cleanup_rsvps', 'attendance', 'impact_records'];
+
+// Location changes smaller than this don't trigger a re-render
+const LOCATION_MIN_MOVE_KM = 0.1;
+
+// Cleanup sites closer than this count as the same beach when checking for double-booking
+const SAME_BEACH_KM = 0.5;
+
+// Cleanup suitability score bands (0-100)
+const SUITABILITY_LEVELS = [
+    { min: 70, level: 'good' },
+    { min: 40, level: 'fair' },
+    { min: 0, level: 'poor' }
+];
+
+// Reminder times offered before RSVP'd cleanups, in hours
+const REMINDER_OPTIONS = [48, 24, 6, 2, 1];
+
+const DEFAULT_REMINDER_SETTINGS = {
+    enabled: false,
+    hoursBefore: [24, 2],
+    forecastAlerts: true,
+    muted: [] // cleanup ids
 };
 
-// Sample cleanup data
+// Forecast conditions (from mapWeatherCondition) that trigger an alert for RSVP'd cleanups
+const ALERT_CONDITIONS = ['Thundery', 'Showers'];
+
+// RSVP key for whoever is using this device; other keys are crew member ids
+const SELF_RSVP = 'self';
+
+// Sample cleanup data, used until an organiser schedules their own. Ids are text and unique
+// across devices (see generateId), so backups and check-ins from other phones can't clash.
+// crewCount is crew already going from elsewhere; capacity is optional and leaves the event
+// unlimited when missing. Cancelled events keep their place with cancelled: { reason, at }.
 const CLEANUP_DATA = [
     {
-        id: 1,
-        name: 'Coral Bay Cleanup',
+        id: 'sample-1',
+        name: 'Pasir Ris Beach Cleanup',
         date: '2025-12-14',
         time: '09:00 AM',
-        location: 'Coral Bay',
-        distance: 2.3,
+        location: 'Pasir Ris Beach',
+        lat: 1.381497,
+        lng: 103.955574,
         description: 'Join us for a morning beach cleanup! We\'ll collect plastic, organize by type, and report findings.',
-        badge: 'Beginner Friendly',
         crewCount: 12,
+        capacity: 20,
         difficulty: 'beginner'
     },
     {
-        id: 2,
-        name: 'Sunset Beach Cleanup',
+        id: 'sample-2',
+        name: 'West Coast Park Cleanup',
         date: '2025-12-15',
         time: '04:00 PM',
-        location: 'Sunset Beach',
-        distance: 5.1,
+        location: 'West Coast Park',
+        lat: 1.295531,
+        lng: 103.763428,
         description: 'Advanced cleanup with underwater survey and data collection for marine research.',
-        badge: 'Experienced',
         crewCount: 8,
+        capacity: 8,
         difficulty: 'experienced'
     }
 ];
@@ -78,49 +224,92 @@ function throttle(func, limit = 100) {
 }
 
 /**
- * Local Storage wrapper with error handling
+ * Parse a cleanup's date ('2025-12-14') and 12-hour time ('09:00 AM') into a local Date
  */
-const Storage = {
-    get: (key, defaultValue = null) => {
-        try {
-            const item = localStorage.getItem(key);
-            return item ? JSON.parse(item) : defaultValue;
-        } catch (err) {
-            console.warn(`Storage.get error for ${key}:`, err);
-            return defaultValue;
-        }
-    },
-    set: (key, value) => {
-        try {
-            localStorage.setItem(key, JSON.stringify(value));
-            return true;
-        } catch (err) {
-            console.warn(`Storage.set error for ${key}:`, err);
-            return false;
-        }
-    },
-    remove: (key) => {
-        try {
-            localStorage.removeItem(key);
-            return true;
-        } catch (err) {
-            console.warn(`Storage.remove error for ${key}:`, err);
-            return false;
-        }
+function parseEventDateTime(date, time = '12:00 AM') {
+    const [year, month, day] = date.split('-').map(Number);
+    const { hours, minutes } = parseEventTime(time);
+
+    return new Date(year, month - 1, day, hours, minutes);
+}
+
+/**
+ * Parse a 12-hour time ('04:00 PM') into 24-hour { hours, minutes }; midnight if unreadable
+ */
+function parseEventTime(time = '12:00 AM') {
+    const match = /^(\d{1,2}):(\d{2})\s*(AM|PM)$/i.exec(time.trim());
+    if (!match) return { hours: 0, minutes: 0 };
+
+    const hours = Number(match[1]) % 12 + (match[3].toUpperCase() === 'PM' ? 12 : 0);
+    return { hours, minutes: Number(match[2]) };
+}
+
+/**
+ * 12-hour event time ('09:00 AM') from a time input value ('09:00')
+ */
+function toEventTime(value) {
+    const [hours, minutes] = value.split(':').map(Number);
+    const suffix = hours < 12 ? 'AM' : 'PM';
+    return `${String(hours % 12 || 12).padStart(2, '0')}:${String(minutes).padStart(2, '0')} ${suffix}`;
+}
+
+/**
+ * Time input value ('16:00') from a 12-hour event time ('04:00 PM')
+ */
+function toTimeInputValue(time) {
+    const { hours, minutes } = parseEventTime(time);
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+/**
+ * Great-circle distance in km between two { lat, lng } points (haversine)
+ */
+function distanceKm(a, b) {
+    const toRad = (deg) => deg * Math.PI / 180;
+    const dLat = toRad(b.lat - a.lat);
+    const dLng = toRad(b.lng - a.lng);
+    const h = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+    return 6371 * 2 * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Random characters from the browser's cryptographic generator, for ids and check-in tokens
+ */
+function randomString(length) {
+    const alphabet = '0123456789abcdefghijklmnopqrstuvwxyz';
+    // 252 is the largest multiple of 36 below 256, so every character is equally likely
+    const bytes = [...crypto.getRandomValues(new Uint8Array(length * 2))].filter(byte => byte < 252);
+    return bytes.slice(0, length).map(byte => alphabet[byte % 36]).join('').padEnd(length, '0');
+}
+
+/**
+ * Short id for locally created records, e.g. 'member-lq2x9a-4fk1z0ab'. Random enough
+ * that records made on different devices never share one.
+ */
+function generateId(prefix) {
+    return `${prefix}-${Date.now().toString(36)}-${randomString(8)}`;
+}
+
+/**
+ * 32-bit FNV-1a hash of a string, in base 36
+ */
+function hashString(text) {
+    let hash = 0x811C9DC5;
+    for (const char of text) {
+        hash ^= char.codePointAt(0);
+        hash = Math.imul(hash, 0x01000193);
     }
-};
+    return (hash >>> 0).toString(36);
+}
 
 /**
- * Accessibility: Announce messages to screen readers
+ * Local calendar date key ('YYYY-MM-DD') for matching events to forecast days
  */
-function announceToScreenReader(message, priority = 'polite') {
-    const announcement = document.createElement('div');
-    announcement.setAttribute('role', 'status');
-    announcement.setAttribute('aria-live', priority);
-    announcement.className = 'sr-only';
-    announcement.textContent = message;
-    document.body.appendChild(announcement);
-    setTimeout(() => announcement.remove(), 1000);
+function toDateKey(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
 }
 
 /**
@@ -134,496 +323,7137 @@ function addListener(element, event, handler) {
     return () => {};
 }
 
+/**
+ * Offer text content as a file download
+ */
+function downloadFile(filename, content, type = 'text/plain') {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Build RFC 4180 CSV from rows of cells. Text that a spreadsheet would run as a
+ * formula is prefixed with an apostrophe.
+ */
+function toCSV(rows) {
+    const cell = (value) => {
+        let text = String(value ?? '');
+        if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return rows.map(row => row.map(cell).join(',')).join('\r\n') + '\r\n';
+}
+
 // ============================================
-// NAVIGATION & MOBILE MENU
+// SAFE RENDERING
 // ============================================
 
-class NavigationManager {
-    constructor() {
-        this.hamburger = document.getElementById('hamburger-btn');
-        this.menu = document.getElementById('navbar-menu');
-        this.init();
+// Markup built by html``; anything else is escaped when interpolated
+class SafeHTML {
+    constructor(markup) {
+        this.markup = markup;
     }
 
-    init() {
-        if (this.hamburger && this.menu) {
-            addListener(this.hamburger, 'click', () => this.toggleMenu());
-            
-            // Close menu when a link is clicked
-            this.menu.querySelectorAll('a').forEach(link => {
-                addListener(link, 'click', () => this.closeMenu());
-            });
-        }
+    toString() {
+        return this.markup;
     }
+}
 
-    toggleMenu() {
-        const isOpen = this.menu.classList.contains('active');
-        isOpen ? this.closeMenu() : this.openMenu();
-    }
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' };
 
-    openMenu() {
-        this.menu.classList.add('active');
-        this.hamburger.setAttribute('aria-expanded', 'true');
-        announceToScreenReader('Navigation menu opened');
-    }
+function escapeHTML(value) {
+    return String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
 
-    closeMenu() {
-        this.menu.classList.remove('active');
-        this.hamburger.setAttribute('aria-expanded', 'false');
-    }
+/**
+ * Convert an interpolated value to markup: nested templates pass through,
+ * arrays are joined, null/undefined/false render nothing and the rest is escaped
+ */
+function toMarkup(value) {
+    if (value instanceof SafeHTML) return value.markup;
+    if (Array.isArray(value)) return value.map(toMarkup).join('');
+    if (value === null || value === undefined || value === false) return '';
+    return escapeHTML(value);
+}
+
+/**
+ * Tagged template that escapes every interpolation, in text and attributes alike
+ */
+function html(strings, ...values) {
+    return new SafeHTML(strings.reduce((markup, string, i) =>
+        markup + string + (i < values.length ? toMarkup(values[i]) : ''), ''));
+}
+
+/**
+ * Replace an element's contents with a template
+ */
+function renderInto(element, template) {
+    if (element) element.innerHTML = toMarkup(template);
+}
+
+// Markup each keyed element was last built from, so unchanged items are left alone
+const renderedMarkup = new WeakMap();
+
+/**
+ * Keyed list update: each item renders to a template with a single root element.
+ * Elements are matched by data-key, rebuilt only when their markup changes and
+ * moved into order, so unchanged items keep their DOM, focus and listeners.
+ */
+function renderList(container, items, { key, render }) {
+    if (!container) return;
+
+    const existing = new Map();
+    Array.from(container.children).forEach(child => {
+        if (child.dataset.key !== undefined) existing.set(child.dataset.key, child);
+    });
+
+    const template = document.createElement('template');
+    const nodes = items.map(item => {
+        const id = String(key(item));
+        const markup = toMarkup(render(item)).trim();
+        const current = existing.get(id);
+
+        if (current && renderedMarkup.get(current) === markup) return current;
+
+        template.innerHTML = markup;
+        const node = template.content.firstElementChild;
+        node.dataset.key = id;
+        renderedMarkup.set(node, markup);
+        return node;
+    });
+
+    // Drop stale items and anything that wasn't rendered as part of the list
+    const keep = new Set(nodes);
+    Array.from(container.children).forEach(child => {
+        if (!keep.has(child)) child.remove();
+    });
+
+    nodes.forEach((node, index) => {
+        const atIndex = container.children[index] || null;
+        if (atIndex !== node) container.insertBefore(node, atIndex);
+    });
 }
 
 // ============================================
-// MODAL MANAGEMENT
+// ACCESSIBILITY
 // ============================================
 
-class ModalManager {
+// Pause between live-region messages so each is read out in full
+const ANNOUNCE_INTERVAL = 600;
+
+// Time between emptying a live region and filling it, so a repeated message is read again
+const ANNOUNCE_CLEAR_DELAY = 50;
+
+// The same message again within this window is dropped
+const ANNOUNCE_DEDUPE_WINDOW = 2000;
+
+const FOCUSABLE_SELECTOR = [
+    'a[href]',
+    'button:not([disabled])',
+    'input:not([disabled]):not([type="hidden"])',
+    'select:not([disabled])',
+    'textarea:not([disabled])',
+    '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+/**
+ * Speaks messages through the two persistent live regions in index.html, one at a
+ * time. Assertive messages jump ahead of polite ones; duplicates are dropped.
+ */
+class LiveAnnouncer {
     constructor() {
-        this.modal = document.getElementById('join-modal');
-        this.form = document.getElementById('join-form');
-        this.closeBtn = this.modal?.querySelector('.modal-close');
-        this.init();
+        this.regions = {
+            polite: document.getElementById('announcer-polite'),
+            assertive: document.getElementById('announcer-assertive')
+        };
+        this.queues = { polite: [], assertive: [] };
+        this.spoken = new Map(); // message -> when it was last read out
+        this.timer = null;
     }
 
-    init() {
-        if (this.modal) {
-            // All join buttons
-            document.querySelectorAll('#join-btn, #cta-join, .cleanup-card .btn-secondary, #final-cta').forEach(btn => {
-                addListener(btn, 'click', (e) => {
-                    e.preventDefault();
-                    this.open();
-                });
-            });
+    announce(message, priority = 'polite') {
+        if (!message) return;
+        const level = priority === 'assertive' ? 'assertive' : 'polite';
 
-            // Close button
-            if (this.closeBtn) {
-                addListener(this.closeBtn, 'click', () => this.close());
-            }
+        if (Date.now() - (this.spoken.get(message) ?? -Infinity) < ANNOUNCE_DEDUPE_WINDOW) return;
 
-            // Close on backdrop click
-            addListener(this.modal, 'click', (e) => {
-                if (e.target === this.modal) this.close();
-            });
+        // Already waiting: keep one copy, at the more urgent level
+        const queued = this.queues.polite.indexOf(message);
+        if (queued !== -1) {
+            if (level === 'polite') return;
+            this.queues.polite.splice(queued, 1);
+        }
+        if (this.queues.assertive.includes(message)) return;
 
-            // Close on Escape key
-            addListener(document, 'keydown', (e) => {
-                if (e.key === 'Escape' && this.modal.open) this.close();
-            });
+        this.queues[level].push(message);
+        if (!this.timer) this.next();
+    }
 
-            // Form submission
-            if (this.form) {
-                addListener(this.form, 'submit', (e) => this.handleSubmit(e));
-            }
+    next() {
+        const level = this.queues.assertive.length ? 'assertive' : 'polite';
+        const message = this.queues[level].shift();
+        const region = this.regions[level];
+
+        Object.values(this.regions).forEach(item => {
+            if (item) item.textContent = '';
+        });
+
+        if (!message) {
+            this.timer = null;
+            return;
         }
+
+        const now = Date.now();
+        this.spoken.forEach((at, text) => {
+            if (now - at >= ANNOUNCE_DEDUPE_WINDOW) this.spoken.delete(text);
+        });
+        this.spoken.set(message, now);
+
+        this.timer = setTimeout(() => {
+            if (region) region.textContent = message;
+            this.timer = setTimeout(() => this.next(), ANNOUNCE_INTERVAL);
+        }, ANNOUNCE_CLEAR_DELAY);
     }
+}
 
-    open() {
-        if (this.modal) {
-            this.modal.showModal();
-            document.body.style.overflow = 'hidden';
-            announceToScreenReader('Join ShoreSquad crew dialog opened');
-            
-            // Focus first input for accessibility
-            const firstInput = this.form?.querySelector('input');
-            if (firstInput) {
-                setTimeout(() => firstInput.focus(), 100);
-            }
+let announcer = null;
+
+/**
+ * Queue a message for screen readers ('polite' or 'assertive')
+ */
+function announceToScreenReader(message, priority = 'polite') {
+    announcer ??= new LiveAnnouncer();
+    announcer.announce(message, priority);
+}
+
+/**
+ * Focusable elements inside a container, in tab order
+ */
+function getFocusable(container) {
+    return [...container.querySelectorAll(FOCUSABLE_SELECTOR)]
+        .filter(element => !element.closest('[hidden], [inert]'));
+}
+
+/**
+ * Keep Tab and Shift+Tab cycling inside a container and move focus into it.
+ * Returns a function that releases the trap and puts focus back where it was.
+ */
+function trapFocus(container, initialFocus = null) {
+    const returnTo = document.activeElement;
+
+    const onKeydown = (e) => {
+        if (e.key !== 'Tab') return;
+
+        const focusable = getFocusable(container);
+        if (focusable.length === 0) {
+            e.preventDefault();
+            return;
         }
-    }
 
-    close() {
-        if (this.modal) {
-            this.modal.close();
-            document.body.style.overflow = '';
-            announceToScreenReader('Dialog closed');
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const outside = !container.contains(document.activeElement);
+
+        if (e.shiftKey && (outside || document.activeElement === first)) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && (outside || document.activeElement === last)) {
+            e.preventDefault();
+            first.focus();
         }
+    };
+
+    document.addEventListener('keydown', onKeydown);
+    (initialFocus || getFocusable(container)[0])?.focus();
+
+    return () => {
+        document.removeEventListener('keydown', onKeydown);
+        if (returnTo?.isConnected) returnTo.focus();
+    };
+}
+
+// Release functions for open dialogs' focus traps
+const dialogTraps = new WeakMap();
+
+/**
+ * Show a modal dialog: lock page scroll, trap focus (on `focus`, or the first
+ * focusable element) and announce it by title
+ */
+function openDialog(dialog, { title, focus = null } = {}) {
+    if (!dialog || dialog.open) return;
+
+    dialog.showModal();
+    document.body.style.overflow = 'hidden';
+    dialogTraps.set(dialog, trapFocus(dialog, focus));
+    announceToScreenReader(t('dialog.opened', { title }));
+}
+
+/**
+ * Close a dialog opened with openDialog and return focus to what opened it
+ */
+function closeDialog(dialog) {
+    if (!dialog?.open) return;
+
+    dialog.close();
+    document.body.style.overflow = '';
+    dialogTraps.get(dialog)?.();
+    dialogTraps.delete(dialog);
+    announceToScreenReader(t('dialog.closed'));
+}
+
+/**
+ * Roving tabindex for a composite widget: the group is one tab stop and
+ * Left/Right/Home/End move between its items. Focus wraps at either end.
+ */
+class RovingFocus {
+    constructor(container, selector) {
+        this.container = container;
+        this.selector = selector;
+        this.init();
     }
 
-    handleSubmit(e) {
-        e.preventDefault();
-        
-        const formData = new FormData(this.form);
-        const userData = {
-            name: formData.get('name'),
-            email: formData.get('email'),
-            location: formData.get('location'),
-            joinedAt: new Date().toISOString()
-        };
+    init() {
+        if (!this.container) return;
 
-        // Save to local storage
-        Storage.set('user_profile', userData);
-        
-        // Show success message
-        announceToScreenReader('Successfully joined ShoreSquad crew!');
-        console.log('User joined:', userData);
+        this.setCurrent(this.items[0]);
+        addListener(this.container, 'keydown', (e) => this.handleKeydown(e));
 
-        // Reset form and close modal
-        this.form.reset();
-        this.close();
-        
-        // Update crew section (optional)
-        this.updateCrewDisplay(userData);
+        // Clicking or tabbing back in makes that item the tab stop
+        addListener(this.container, 'focusin', (e) => {
+            const item = e.target.closest(this.selector);
+            if (item && this.items.includes(item)) this.setCurrent(item);
+        });
+    }
+
+    get items() {
+        if (!this.container) return [];
+        return [...this.container.querySelectorAll(this.selector)]
+            .filter(item => !item.disabled && !item.closest('[hidden]'));
+    }
+
+    setCurrent(item) {
+        if (!item) return;
+        this.items.forEach(other => other.setAttribute('tabindex', other === item ? '0' : '-1'));
+    }
+
+    handleKeydown(e) {
+        const items = this.items;
+        const index = items.indexOf(e.target);
+        if (index === -1) return;
+
+        const target = {
+            ArrowLeft: index - 1,
+            ArrowRight: index + 1,
+            Home: 0,
+            End: items.length - 1
+        }[e.key];
+        if (target === undefined) return;
+
+        e.preventDefault();
+        const item = items[(target + items.length) % items.length];
+        this.setCurrent(item);
+        item.focus();
     }
+}
+
+// ============================================
+// LOCALISATION
+// ============================================
+
+// Message catalogue keys are flat and dotted. Values may use {placeholders}, and
+// counted messages are objects keyed by Intl.PluralRules category ('one', 'other', ...).
+// English lives here as the fallback; other catalogues are in CONFIG.LOCALES/<code>.json.
+const MESSAGES_EN = {
+    // Page and navigation
+    'page.title': 'ShoreSquad | Rally Your Beach Cleanup Crew',
+    'nav.skip': 'Skip to main content',
+    'nav.label': 'Main navigation',
+    'nav.home': 'ShoreSquad - Home',
+    'nav.toggle': 'Toggle navigation menu',
+    'nav.opened': 'Navigation menu opened',
+    'nav.map': 'Map',
+    'nav.weather': 'Weather',
+    'nav.cleanups': 'Cleanups',
+    'nav.crew': 'Crew',
+    'nav.join': 'Join Crew',
+    'nav.joinLabel': 'Join a cleanup crew',
+    'nav.navigated': 'Navigated to {section}',
+    'nav.home.announce': 'Showing home',
+    'language.label': 'Language',
+    'language.changed': 'Language changed to {language}',
+
+    // Search
+    'search.placeholder': 'Search cleanups, beaches, crew',
+    'search.label': 'Search cleanups, beaches and crew',
+    'search.resultsLabel': 'Search results',
+    'search.empty': 'No matches',
+    'search.results': { one: '{count} result. Use the arrow keys to choose.', other: '{count} results. Use the arrow keys to choose.' },
+    'search.noResults': 'No matches for {query}',
+    'search.onMap': { one: 'Show on map · {count} cleanup', other: 'Show on map · {count} cleanups' },
+
+    // Hero and call to action
+    'hero.label': 'Welcome to ShoreSquad',
+    'hero.line1': 'Rally Your Crew.',
+    'hero.line2': 'Clean the Beach.',
+    'hero.subtitle': 'Track weather, coordinate with your squad, and make real impact on our beaches.',
+    'hero.join': 'Join a Cleanup',
+    'hero.explore': 'Explore Map',
+    'cta.label': 'Call to action',
+    'cta.heading': 'Ready to Make Waves?',
+    'cta.body': 'Join ShoreSquad today and start your beach cleanup journey with your crew.',
+    'cta.button': 'Get Started Now',
+    'cta.buttonLabel': 'Sign up for ShoreSquad',
+
+    // Footer
+    'footer.aboutHeading': 'About ShoreSquad',
+    'footer.aboutBody': 'Mobilizing young people to clean beaches through weather tracking, community coordination, and eco-action fun.',
+    'footer.links': 'Quick Links',
+    'footer.about': 'About',
+    'footer.contact': 'Contact',
+    'footer.privacy': 'Privacy',
+    'footer.terms': 'Terms',
+    'footer.follow': 'Follow Us',
+    'footer.social': 'ShoreSquad on {network}',
+    'footer.copyright': '© 2025 ShoreSquad. Making beaches cleaner, one crew at a time. 🌊',
+
+    // Shared
+    'dialog.close': 'Close dialog',
+    'dialog.opened': '{title} dialog opened',
+    'dialog.closed': 'Dialog closed',
+    'form.email': 'Email *',
+    'count.cleanups': { one: '{count} cleanup', other: '{count} cleanups' },
+    'count.items': { one: '{count} item', other: '{count} items' },
+    'count.bags': { one: '{count} bag', other: '{count} bags' },
+    'count.volunteers': { one: '{count} volunteer', other: '{count} volunteers' },
+    'count.crewMembers': { one: '{count} crew member', other: '{count} crew members' },
+    'count.tallies': { one: '{count} litter tally', other: '{count} litter tallies' },
+    'count.scheduled': { one: '{count} scheduled cleanup', other: '{count} scheduled cleanups' },
+    'unit.kg': '{value} kg',
+
+    // Storage
+    'storage.retry': 'Try Again',
+    'storage.failed': 'Your latest changes couldn\'t be saved on this device. Try again, or download a backup from Your Data.',
+    'storage.blocked': 'This browser isn\'t letting ShoreSquad save anything, so your changes will be lost when you close the page.',
+    'storage.quota': 'This device is out of storage space, so your latest changes haven\'t been saved. Free up some space, then try again.',
+    'app.startFailed': 'ShoreSquad couldn\'t start. Reload the page to try again.',
+    'app.loading': 'Still opening your saved data… If ShoreSquad is open in another tab, close it.',
+    'app.reload': 'Reload',
+
+    // Map and filters
+    'map.label': 'Interactive beach map',
+    'map.heading': 'Find Your Cleanup Site',
+    'map.regionLabel': 'Beach cleanup locations map',
+    'map.svgLabel': 'Map of Singapore with cleanup sites',
+    'map.infoLabel': 'Cleanup location details',
+    'map.noMatchesTitle': '📍 No Matching Cleanups',
+    'map.noMatchesBody': 'No cleanup sites match the current filters.',
+    'map.markerLabel': '{name}, {location}',
+    'map.selected': 'Selected {name}',
+    'map.beach': 'Beach:',
+    'map.coordinates': 'Coordinates:',
+    'map.when': 'When:',
+    'map.level': 'Level:',
+    'map.details': 'View cleanup details →',
+    'filter.label': 'Map filters',
+    'filter.status': 'Status',
+    'filter.all': 'All',
+    'filter.active': 'Active',
+    'filter.upcoming': 'Upcoming',
+    'filter.past': 'Past',
+    'filter.difficulty': 'Difficulty',
+    'filter.anyLevel': 'Any level',
+    'filter.distance': 'Distance',
+    'filter.anyDistance': 'Any distance',
+    'filter.within': 'Within {km} km',
+    'filter.applied': { one: 'Filters applied: {count} cleanup shown', other: 'Filters applied: {count} cleanups shown' },
+    'difficulty.beginner': 'Beginner',
+    'difficulty.experienced': 'Experienced',
+    'badge.beginner': 'Beginner Friendly',
+    'badge.experienced': 'Experienced',
+    'location.device': 'your current location',
+    'location.preferredBeach': '{beach} (your preferred beach)',
+    'location.distancesFrom': 'Distances from {origin}',
+    'location.none': 'Share your location or set a preferred beach to see distances',
+    'location.use': '📍 Use my location',
+    'location.denied': 'Location access was denied. Distances are from your preferred beach.',
+    'location.unavailable': 'Your location could not be found. Distances are from your preferred beach.',
+
+    // Weather
+    'weather.label': '4-Day weather forecast',
+    'weather.heading': '4-Day Weather Forecast',
+    'weather.source': 'Real-time weather data powered by NEA (National Environment Agency, Singapore)',
+    'weather.loading': '☀️ Loading weather...',
+    'weather.loadingLabel': 'Loading weather data',
+    'weather.today': 'Today',
+    'weather.tomorrow': 'Tomorrow',
+    'weather.cardLabel': 'Weather for {day}',
+    'weather.temperature': '🌡️ {low}–{high}°C',
+    'weather.humidity': '💧 {low}–{high}%',
+    'weather.wind': '💨 {low}–{high} km/h {direction}',
+    'weather.score': 'Cleanup score: {score}/100 · {label}',
+    'weather.noRisks': 'No weather risks',
+    'weather.unavailable': 'Unable to fetch live weather data. Please check the NEA API connection.',
+    'weather.updated': 'Last updated by NEA: {time}',
+    'weather.stale': '⚠️ Stale: last updated {time}. Refreshing when a connection is available.',
+    'weather.refreshed': 'Weather forecast updated',
+    'weather.failed': 'Could not load weather data. Showing cached data.',
+    'tides.station': 'Tides at {station}',
+    'tides.low': '⬇️ Low {time} ({height} m)',
+    'tides.high': '⬆️ High {time} ({height} m)',
+    'tides.highWarning': '🌊 High tide at {time} ({height} m), within an hour of the start. Expect little beach to work on.',
+    'tides.approximate': 'Estimated tides, not official MPA predictions',
+    'tides.source': 'Tides: {source}',
+    'tides.notCovered': 'No tide predictions for this date yet',
+    'condition.sunny': 'Sunny',
+    'condition.partly-cloudy': 'Partly Cloudy',
+    'condition.cloudy': 'Cloudy',
+    'condition.rainy': 'Rainy',
+    'condition.thundery': 'Thundery',
+    'condition.showers': 'Showers',
+    'condition.windy': 'Windy',
+    'condition.fair': 'Fair',
+    'condition.fair-and-warm': 'Fair and Warm',
+    'condition.hazy': 'Hazy',
+    'condition.misty': 'Misty',
+    'condition.foggy': 'Foggy',
+
+    // Suitability
+    'suitability.good': 'Good conditions',
+    'suitability.fair': 'Use caution',
+    'suitability.poor': 'Not recommended',
+    'suitability.conditions': '🧭 Conditions: {score}/100 · {label}',
+    'suitability.station': 'Readings from {station} station',
+    'suitability.noStation': 'No station readings',
+    'risk.extremeHeat': 'Extreme heat danger (feels like {temperature}°C)',
+    'risk.heatDanger': 'Heat danger (feels like {temperature}°C)',
+    'risk.highHeat': 'High heat stress (feels like {temperature}°C)',
+    'risk.mildHeat': 'Mild heat stress (feels like {temperature}°C)',
+    'risk.thunder': 'Thunderstorm risk',
+    'risk.rain': 'Rain expected',
+    'risk.showers': 'Showers likely',
+    'risk.windy': 'Windy',
+
+    // Cleanups
+    'cleanups.label': 'Upcoming beach cleanups',
+    'cleanups.heading': 'Upcoming Cleanups',
+    'cleanups.listLabel': 'List of scheduled beach cleanups',
+    'cleanups.exportRsvps': '📅 Export My RSVPs',
+    'cleanups.reminders': '🔔 Reminders',
+    'cleanups.sortBy': 'Sort by',
+    'cleanups.empty': 'No cleanups match these filters. Try widening your search.',
+    'cleanups.crewMembers': 'crew members',
+    'cleanups.distance': ', {km} km away',
+    'cleanups.distanceNear': ', under 100 m away',
+    'sort.soonest': 'Soonest',
+    'sort.nearest': 'Nearest',
+    'sort.crew': 'Most crew',
+    'status.active': '🟢 Active Cleanup Site',
+    'status.upcoming': '🔵 Upcoming Cleanup',
+    'status.past': '⚪ Completed Cleanup',
+    'status.cancelled': '🔴 Cancelled',
+    'rsvp.going': 'Going',
+    'rsvp.waitlisted': 'Waitlisted #{position}',
+    'rsvp.full': 'Full',
+    'rsvp.join': 'Join',
+    'rsvp.leave': 'Leave',
+    'rsvp.joinWaitlist': 'Join Waitlist',
+    'rsvp.leaveWaitlist': 'Leave Waitlist',
+    'rsvp.actionLabel': '{action} {name}',
+    'rsvp.you': 'You',
+    'rsvp.youNamed': '{name} (you)',
+    'rsvp.others': { one: '{count} other crew member', other: '{count} other crew members' },
+    'rsvp.youWaitlisted': '{you}, waitlisted #{position} of {total}',
+    'rsvp.onWaitlist': '{count} on the waitlist',
+    'rsvp.joined': 'You\'re going to {name}',
+    'rsvp.joinedWaitlist': '{name} is full. You\'re number {position} on the waitlist',
+    'rsvp.left': 'You left {name}',
+    'rsvp.leftWaitlist': 'You left the waitlist for {name}',
+    // Organisers signing crew up
+    'rsvps.manage': '👥 RSVPs',
+    'rsvps.manageLabel': 'Manage RSVPs for {name}',
+    'rsvps.titleFor': 'RSVPs for {name}',
+    'rsvps.hint': 'Sign up crew who told you they\'re coming. When the cleanup is full they join the waitlist, and removing someone gives their spot to the next person waiting.',
+    'rsvps.going': { one: '{count} going', other: '{count} going' },
+    'rsvps.capacity': '{capacity} spots',
+    'rsvps.notGoing': 'Not signed up',
+    'rsvps.noCrew': 'Add crew members to sign them up here.',
+    'rsvps.add': 'Add',
+    'rsvps.remove': 'Remove',
+    'rsvps.addLabel': 'Sign {member} up for {name}',
+    'rsvps.removeLabel': 'Take {member} off {name}',
+    'rsvps.added': '{member} is going to {name}',
+    'rsvps.addedWaitlist': '{name} is full. {member} is number {position} on the waitlist',
+    'rsvps.removed': '{member} was taken off {name}',
+    'rsvps.promoted': '{names} moved up from the waitlist',
+
+    // Organiser events
+    'events.schedule': '+ Schedule Cleanup',
+    'events.newTitle': 'Schedule a Cleanup',
+    'events.editTitle': 'Edit {name}',
+    'events.formLabel': 'Cleanup event form',
+    'events.name': 'Event name *',
+    'events.date': 'Date *',
+    'events.time': 'Start time *',
+    'events.beach': 'Beach *',
+    'events.lat': 'Latitude *',
+    'events.lng': 'Longitude *',
+    'events.coordinatesHint': 'Filled in when you pick a known beach.',
+    'events.capacity': 'Capacity',
+    'events.noLimit': 'No limit',
+    'events.description': 'Description',
+    'events.save': 'Save Cleanup',
+    'events.edit': '✏️ Edit',
+    'events.editLabel': 'Edit {name}',
+    'events.cancel': '✖️ Cancel event',
+    'events.cancelLabel': 'Cancel {name}',
+    'events.cancelTitle': 'Cancel {name}',
+    'events.cancelFormLabel': 'Cancel cleanup form',
+    'events.reason': 'Reason *',
+    'events.reasonHint': 'Everyone who RSVP\'d will see this on the event.',
+    'events.confirmCancel': 'Cancel Cleanup',
+    'events.cancelledNotice': '❌ Cancelled by the organiser:',
+    'events.required': 'Fill in the name, date, start time, beach and difficulty.',
+    'events.outsideSingapore': 'Those coordinates aren\'t in Singapore. Pick a beach from the list or check the latitude and longitude.',
+    'events.pastDate': 'Pick a date and time that hasn\'t passed yet.',
+    'events.capacityTooLow': { one: '{count} person is already going, so capacity can\'t be lower than that.', other: '{count} people are already going, so capacity can\'t be lower than that.' },
+    'events.doubleBooked': '{name} is already at this beach on {date}. Pick another time or beach.',
+    'events.created': '{name} scheduled',
+    'events.updated': '{name} updated',
+    'events.cancelled': '{name} cancelled. Everyone who RSVP\'d can see the reason.',
+
+    // Check-in and attendance
+    'checkin.open': '📱 Check-in',
+    'checkin.openLabel': 'Check-in and attendance for {name}',
+    'checkin.titleFor': 'Check-in: {name}',
+    'checkin.qrLabel': 'Check-in QR code for {name}',
+    'checkin.scanHint': 'Show this code at the beach. Crew scan it with their phone camera to check in, then show you the confirmation code their phone gives them. It works without a signal on phones that have opened ShoreSquad before.',
+    'checkin.scanClosed': 'Check-in by QR code has closed for this cleanup. You can still tick people off below.',
+    'checkin.attendance': 'Attendance',
+    'checkin.attendanceHint': 'Tick crew members who came.',
+    'checkin.rsvpd': 'RSVP\'d',
+    'checkin.noCrew': 'Add crew members to tick them off here.',
+    'checkin.count': { one: '{count} checked in', other: '{count} checked in' },
+    'checkin.marked': '{name} marked as attended',
+    'checkin.unmarked': '{name} marked as absent',
+    'checkin.checkedIn': '✅ You\'re checked in',
+    'checkin.done': 'You\'re checked in to {name}. Thanks for coming!',
+    'checkin.already': 'You\'re already checked in to {name}.',
+    'checkin.notOpen': 'Check-in for {name} opens {time}.',
+    'checkin.closed': 'Check-in for {name} has closed.',
+    'checkin.cancelled': '{name} was cancelled, so there\'s nothing to check in to.',
+    'checkin.invalid': 'This check-in code isn\'t for {name}. Scan the code the organiser is showing.',
+    'checkin.title': 'Check-in',
+    'checkin.thisCleanup': 'this cleanup',
+    'checkin.needsProfile': 'Join the crew with your name and email first, so the organiser can match your check-in to you. Then scan the code again.',
+    'checkin.yourCode': 'Your confirmation code is {code}',
+    'checkin.showCode': 'Show this confirmation code to the organiser so they can tick you off.',
+    'checkin.confirmLabel': 'Confirmation code from a crew member\'s phone',
+    'checkin.confirm': 'Confirm',
+    'checkin.noMatch': 'No one in your crew matches {code}. Check the code, and that they\'re in your crew with the same email.',
+    'checkin.alreadyConfirmed': '{name} is already checked in',
+    'detail.label': 'Cleanup details',
+    'detail.back': '← Back to cleanups',
+    'detail.notFound': 'Cleanup not found',
+    'detail.notFoundBody': 'This cleanup doesn\'t exist or has been removed.',
+    'detail.showing': 'Showing details for {name}',
+    'detail.status': 'Status:',
+    'detail.weather': 'Weather',
+    'detail.noForecast': 'Forecast not available yet. NEA publishes forecasts up to 4 days ahead.',
+    'detail.location': 'Location',
+    'detail.place': '{location}, Singapore',
+    'detail.viewMap': 'View cleanup sites on the map',
+    'detail.tally': 'Litter Tally',
+    'detail.going': 'Who\'s Going',
+    'calendar.add': 'Add to calendar',
+    'calendar.addLabel': 'Add {name} to your calendar',
+    'calendar.downloaded': '{name} calendar file downloaded',
+    'calendar.noRsvps': 'You haven\'t RSVP\'d to any cleanups yet',
+    'calendar.exported': { one: '{count} cleanup exported to your calendar file', other: '{count} cleanups exported to your calendar file' },
+    'calendar.feedName': 'ShoreSquad: My Cleanups',
+    'calendar.waitlisted': '{name} (waitlisted)',
+    'calendar.details': 'Details: {url}',
+    'calendar.startsSoon': '{name} starts soon',
+    'reminders.title': 'Reminders & Alerts',
+    'reminders.intro': 'Get a notification before cleanups you\'ve RSVP\'d to, and an alert if their forecast turns to thundery weather or showers. Notifications are sent while ShoreSquad is open on this device.',
+    'reminders.formLabel': 'Reminder settings',
+    'reminders.enable': 'Send me notifications',
+    'reminders.timing': 'Remind me before each cleanup',
+    'reminders.hoursBefore': { one: '{count} hour before', other: '{count} hours before' },
+    'reminders.forecastAlerts': 'Alert me when the forecast turns to thundery weather or showers',
+    'reminders.enabled': 'Notifications turned on',
+    'reminders.disabled': 'Notifications turned off',
+    'reminders.saved': 'Reminder settings saved',
+    'reminders.denied': 'Notifications are blocked for ShoreSquad. Allow them in your browser settings, then try again.',
+    'reminders.unsupported': 'This browser can\'t show notifications.',
+    'reminders.on': '🔔 Reminders on',
+    'reminders.muted': '🔕 Muted',
+    'reminders.muteLabel': 'Mute reminders and alerts for {name}',
+    'reminders.mutedFor': 'Reminders and alerts muted for {name}',
+    'reminders.unmutedFor': 'Reminders and alerts back on for {name}',
+    'notify.reminderTitle': '{name} starts {when}',
+    'notify.reminderBody': '📅 {date} · 📍 {location}',
+    'notify.reminderWaitlisted': '📅 {date} · 📍 {location}. You\'re number {position} on the waitlist.',
+    'notify.alertTitle': 'Forecast change for {name}',
+    'notify.alertBody': '{condition} is now forecast for {date}. Check conditions before you head out.',
+
+    // Crew
+    'crew.label': 'Your crew members',
+    'crew.heading': 'Your Crew',
+    'crew.yourData': '💾 Your Data',
+    'crew.addMember': '+ Add Member',
+    'crew.you': 'You',
+    'crew.youSuffix': '(you)',
+    'crew.emptyHint': 'Join the crew to start your roster.',
+    'crew.completed': { one: '{count} cleanup completed', other: '{count} cleanups completed' },
+    'crew.edit': 'Edit {name}',
+    'crew.remove': 'Remove {name}',
+    'crew.confirmRemove': 'Remove {name} from the crew?',
+    'crew.added': '{name} added to the crew',
+    'crew.updated': '{name} updated',
+    'crew.removed': '{name} removed from the crew',
+    'crew.emailTaken': 'This email is already on the crew roster.',
+    'role.organiser': 'Organiser',
+    'role.member': 'Member',
+    'impact.heading': 'Impact',
+    'impact.label': 'Litter collected',
+    'impact.summary': 'Litter collected · {items} from {cleanups}',
+    'streak.heading': 'Streak',
+    'streak.label': 'Consecutive cleanups',
+
+    // Join and member dialogs
+    'join.title': 'Join ShoreSquad Crew',
+    'join.formLabel': 'Join crew form',
+    'join.name': 'Your Name *',
+    'join.namePlaceholder': 'Enter your name',
+    'join.location': 'Preferred Beach',
+    'join.locationPlaceholder': 'Enter beach name',
+    'join.submit': 'Join the Crew',
+    'join.submitLabel': 'Submit join form',
+    'join.success': 'Successfully joined ShoreSquad crew!',
+    'join.welcomeBack': 'Welcome back, {name}!',
+    'member.addTitle': 'Add Crew Member',
+    'member.formLabel': 'Crew member form',
+    'member.name': 'Name *',
+    'member.namePlaceholder': 'Crew member\'s name',
+    'member.role': 'Role',
+    'member.avatar': 'Avatar',
+    'member.cleanups': 'Earlier cleanups',
+    'member.cleanupsHint': 'Cleanups from before ShoreSquad check-in. Check-ins are added to this.',
+    'member.save': 'Save Member',
+    'avatar.surfer': '🏄 Surfer',
+    'avatar.turtle': '🐢 Turtle',
+    'avatar.dolphin': '🐬 Dolphin',
+    'avatar.crab': '🦀 Crab',
+    'avatar.fish': '🐠 Fish',
+    'avatar.shell': '🐚 Shell',
+    'avatar.shark': '🦈 Shark',
+    'avatar.wave': '🌊 Wave',
+
+    // Litter tallies
+    'tally.titleFor': 'Litter Tally: {name}',
+    'tally.formLabel': 'Litter tally form',
+    'tally.volunteers': 'Volunteers *',
+    'tally.bags': 'Bags filled',
+    'tally.weight': 'Total weight (kg)',
+    'tally.save': 'Save Tally',
+    'tally.none': 'No tally recorded yet.',
+    'tally.details': '{weight} in {bags} · {volunteers}',
+    'tally.mostFound': 'Most found: {items}',
+    'tally.itemCount': '{label} ({count})',
+    'tally.needItems': 'Add at least one item count or the bag weight.',
+    'tally.saved': 'Litter tally saved for {name}',
+    'tally.opensLater': 'The tally sheet opens when the cleanup starts.',
+    'tally.record': 'Record Litter Tally',
+    'tally.edit': 'Edit Litter Tally',
+    'litterGroup.common': 'Most likely to find',
+    'litterGroup.fishing': 'Fishing gear',
+    'litterGroup.packaging': 'Packaging materials',
+    'litterGroup.hygiene': 'Personal hygiene',
+    'litterGroup.tiny': 'Tiny trash (under 2.5 cm)',
+    'litter.cigarette-butts': 'Cigarette butts',
+    'litter.food-wrappers': 'Food wrappers',
+    'litter.takeaway-plastic': 'Takeaway containers (plastic)',
+    'litter.takeaway-foam': 'Takeaway containers (foam)',
+    'litter.bottle-caps-plastic': 'Bottle caps (plastic)',
+    'litter.bottle-caps-metal': 'Bottle caps (metal)',
+    'litter.lids-plastic': 'Lids (plastic)',
+    'litter.straws': 'Straws & stirrers',
+    'litter.cutlery': 'Forks, knives, spoons',
+    'litter.bottles-plastic': 'Beverage bottles (plastic)',
+    'litter.bottles-glass': 'Beverage bottles (glass)',
+    'litter.beverage-cans': 'Beverage cans',
+    'litter.grocery-bags': 'Grocery bags (plastic)',
+    'litter.other-bags': 'Other plastic bags',
+    'litter.cups-plates': 'Cups, plates (plastic or foam)',
+    'litter.fishing-line': 'Fishing line',
+    'litter.fishing-nets': 'Fishing nets & pieces',
+    'litter.rope': 'Rope',
+    'litter.fishing-gear': 'Buoys, floats, pots & traps',
+    'litter.six-pack-holders': 'Six-pack holders',
+    'litter.strapping-bands': 'Strapping bands',
+    'litter.other-packaging': 'Other plastic or foam packaging',
+    'litter.face-masks': 'Face masks & gloves',
+    'litter.diapers': 'Diapers',
+    'litter.foam-pieces': 'Foam pieces',
+    'litter.plastic-pieces': 'Plastic pieces',
+    'litter.glass-pieces': 'Glass pieces',
+
+    // Backup and restore
+    'data.title': 'Your Data',
+    'data.intro': 'Your profile, crew, scheduled cleanups, RSVPs, attendance and litter tallies are stored on this device. Download a backup to keep them safe or move them to another phone.',
+    'data.download': '⬇️ Download Backup',
+    'data.exportCSV': '📊 Export Tallies (CSV)',
+    'data.restoreLabel': 'Restore from backup',
+    'data.restoreFile': 'Restore from a backup file',
+    'data.mode': 'If this device already has data',
+    'data.modeMerge': 'Merge, keeping this device\'s profile and the newest tallies',
+    'data.modeReplace': 'Replace everything on this device',
+    'data.restore': 'Restore Backup',
+    'data.profileFor': 'the profile for {name}',
+    'data.rsvpsFor': 'RSVPs for {cleanups}',
+    'data.attendanceFor': 'attendance for {cleanups}',
+    'data.nothing': 'no data',
+    'data.downloaded': 'Backup downloaded with {contents}.',
+    'data.noTallies': 'There are no litter tallies to export yet.',
+    'data.exported': 'Exported {tallies} as CSV.',
+    'data.preview': 'Backup with {backup}. This device has {device}.',
+    'data.previewDated': 'Backup from {date} with {backup}. This device has {device}.',
+    'data.saveFailed': 'Some data couldn\'t be saved on this device. Free up storage space and try again.',
+    'data.restored': 'Backup restored. Reloading…',
+    'data.restoredConflicts': {
+        one: 'Backup restored. {count} conflicting item was resolved. Reloading…',
+        other: 'Backup restored. {count} conflicting items were resolved. Reloading…'
+    },
+    'backup.invalidJSON': 'This file isn\'t valid JSON, so it can\'t be a ShoreSquad backup.',
+    'backup.notBackup': 'This isn\'t a ShoreSquad backup file.',
+    'backup.noVersion': 'This backup has no valid version number.',
+    'backup.newer': 'This backup was made by a newer version of ShoreSquad (format v{version}). Update the app and try again.',
+    'backup.noData': 'This backup has no data in it.',
+    'backup.damagedProfile': 'The profile in this backup is damaged.',
+    'backup.damagedRoster': 'The crew roster in this backup is damaged.',
+    'backup.damagedCleanups': 'The scheduled cleanups in this backup are damaged.',
+    'backup.damagedRsvps': 'The RSVPs in this backup are damaged.',
+    'backup.damagedAttendance': 'The attendance records in this backup are damaged.',
+    'backup.damagedTallies': 'The litter tallies in this backup are damaged.',
+
+    // Offline sync
+    'sync.online': 'Back online. Syncing your changes.',
+    'sync.offline': 'You are offline. Changes will sync when you reconnect.',
+    'sync.onlineLocal': 'Back online.',
+    'sync.offlineLocal': 'You are offline. Your changes are saved on this device.',
+    'sync.queued': {
+        one: 'Saved offline. {count} change will sync when you reconnect.',
+        other: 'Saved offline. {count} changes will sync when you reconnect.'
+    },
+    'sync.replayed': { one: 'Synced {count} offline change.', other: 'Synced {count} offline changes.' }
+};
+
+const I18n = {
+    language: DEFAULT_LANGUAGE,
+    catalogues: { [DEFAULT_LANGUAGE]: MESSAGES_EN },
+    pluralRules: new Intl.PluralRules(LANGUAGES[DEFAULT_LANGUAGE].locale),
+
+    get locale() {
+        return LANGUAGES[this.language].locale;
+    },
+
+    /**
+     * First supported language the browser asks for, or English
+     */
+    detect() {
+        const preferred = navigator.languages?.length ? navigator.languages : [navigator.language];
+        const match = preferred
+            .map(tag => String(tag || '').toLowerCase().split('-')[0])
+            .find(code => code in LANGUAGES);
+        return match || DEFAULT_LANGUAGE;
+    },
+
+    async load(language) {
+        if (!this.catalogues[language]) {
+            const response = await fetch(`${CONFIG.LOCALES}/${language}.json`);
+            if (!response.ok) throw new Error(`Locale load error: ${response.status}`);
+            this.catalogues[language] = await response.json();
+        }
+        return this.catalogues[language];
+    },
+
+    /**
+     * Switch language and translate the static page. Falls back to English when the
+     * catalogue can't be loaded (e.g. offline before it was ever cached); returns the
+     * language actually in use.
+     */
+    async use(language) {
+        if (!(language in LANGUAGES)) language = DEFAULT_LANGUAGE;
+
+        try {
+            await this.load(language);
+        } catch (err) {
+            console.warn(`Could not load ${language} messages, using English:`, err);
+            language = DEFAULT_LANGUAGE;
+        }
+
+        this.language = language;
+        this.pluralRules = new Intl.PluralRules(this.locale);
+        this.translatePage();
+        return language;
+    },
+
+    has(key) {
+        return key in this.catalogues[this.language] || key in MESSAGES_EN;
+    },
+
+    /**
+     * Look up a message and fill in its {placeholders}. Numbers are formatted for the
+     * locale; a numeric `count` param picks the plural form. Unknown keys come back as-is.
+     */
+    t(key, params = {}) {
+        let message = this.catalogues[this.language][key] ?? MESSAGES_EN[key];
+        if (message === undefined) {
+            console.warn(`Missing message: ${key}`);
+            return key;
+        }
+
+        if (typeof message === 'object') {
+            message = message[this.pluralRules.select(params.count ?? 0)] ?? message.other;
+        }
+
+        return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+            if (!(name in params)) return placeholder;
+            const value = params[name];
+            return typeof value === 'number' ? this.formatNumber(value) : String(value);
+        });
+    },
+
+    formatNumber(value, options) {
+        return new Intl.NumberFormat(this.locale, options).format(value);
+    },
+
+    formatDate(date, options) {
+        return new Intl.DateTimeFormat(this.locale, options).format(date);
+    },
+
+    /**
+     * Join items the way the language does, e.g. "a, b and c"
+     */
+    formatList(items) {
+        return new Intl.ListFormat(this.locale, { style: 'long', type: 'conjunction' }).format(items);
+    },
+
+    /**
+     * Time from now in the language, e.g. "in 2 hours"
+     */
+    formatRelative(value, unit) {
+        return new Intl.RelativeTimeFormat(this.locale, { numeric: 'auto' }).format(value, unit);
+    },
+
+    /**
+     * Translate static markup: data-i18n sets the text, data-i18n-attr lists
+     * "attribute:key" pairs and data-i18n-params holds JSON placeholder values
+     */
+    translatePage(root = document) {
+        const params = (element) => JSON.parse(element.dataset.i18nParams || '{}');
+
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n, params(element));
+        });
+        root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+            element.dataset.i18nAttr.split(',').forEach(pair => {
+                const [attribute, key] = pair.split(':').map(part => part.trim());
+                element.setAttribute(attribute, this.t(key, params(element)));
+            });
+        });
+
+        document.documentElement.lang = this.locale;
+        document.title = this.t('page.title');
+    }
+};
+
+/**
+ * Shorthand for I18n.t
+ */
+function t(key, params) {
+    return I18n.t(key, params);
+}
+
+// ============================================
+// PERSISTENT STORAGE
+// ============================================
+
+// Every key is stored as `shoresquad:<key>`, alongside a schema_version key
+const STORAGE_NAMESPACE = 'shoresquad:';
+const STORAGE_SCHEMA_VERSION = 4;
+const STORAGE_DB_NAME = 'shoresquad';
+const STORAGE_DB_STORE = 'data';
+// Say saved data is still opening if IndexedDB takes longer than this. The app keeps
+// waiting rather than switching to localStorage, which wouldn't have the user's data.
+const STORAGE_SLOW_OPEN = 3000;
+
+// Keys written straight to localStorage before storage was namespaced
+const LEGACY_STORAGE_KEYS = ['user_profile', 'crew_roster', 'joined_cleanups', 'cleanup_rsvps', 'impact_records', 'weather_cache'];
+
+/**
+ * Ordered schema migrations. Each one edits the full { key: value } data in place;
+ * the optional cleanup() runs only once the migrated data has been saved.
+ */
+const STORAGE_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Move un-namespaced localStorage keys into the store',
+        migrate(data) {
+            LEGACY_STORAGE_KEYS.forEach(key => {
+                try {
+                    const raw = localStorage.getItem(key);
+                    if (raw !== null && !(key in data)) data[key] = JSON.parse(raw);
+                } catch (err) {
+                    console.warn(`Skipping unreadable legacy key ${key}:`, err);
+                }
+            });
+        },
+        cleanup() {
+            LEGACY_STORAGE_KEYS.forEach(key => {
+                try {
+                    localStorage.removeItem(key);
+                } catch (err) {
+                    console.warn(`Could not remove legacy key ${key}:`, err);
+                }
+            });
+        }
+    },
+    {
+        version: 2,
+        description: 'Turn joined_cleanups into per-event RSVPs',
+        migrate(data) {
+            if (!Array.isArray(data.joined_cleanups)) return;
+
+            const rsvps = data.cleanup_rsvps || {};
+            data.joined_cleanups.forEach(id => {
+                const record = rsvps[id] || (rsvps[id] = { going: [], waitlist: [] });
+                if (!record.going.includes(SELF_RSVP)) record.going.push(SELF_RSVP);
+            });
+            data.cleanup_rsvps = rsvps;
+            delete data.joined_cleanups;
+        }
+    },
+    {
+        version: 3,
+        description: 'Keep a weather cache per provider',
+        migrate(data) {
+            // The old shared cache may hold fixture data; it's refetched on start
+            delete data.weather_cache;
+        }
+    },
+    {
+        version: 4,
+        description: 'Give cleanups ids that are unique across devices',
+        migrate(data) {
+            const ids = upgradeCleanupIds(data);
+
+            // Reminders already sent are logged by tag, e.g. 'reminder-3-24h'
+            if (isPlainObject(data.reminder_settings) && Array.isArray(data.reminder_settings.muted)) {
+                data.reminder_settings.muted = data.reminder_settings.muted.map(id => ids.get(id) || id);
+            }
+            if (isPlainObject(data.reminders_sent)) {
+                data.reminders_sent = Object.fromEntries(Object.entries(data.reminders_sent).map(([tag, sentAt]) => [
+                    tag.replace(/^(reminder|alert)-(\d+)-/, (match, kind, id) => `${kind}-${ids.get(Number(id)) || id}-`),
+                    sentAt
+                ]));
+            }
+        }
+    }
+];
+
+// Numeric ids the sample cleanups had before ids were text
+const LEGACY_SAMPLE_IDS = [[1, 'sample-1'], [2, 'sample-2']];
+
+/**
+ * Cleanup ids used to be numbers counted up on each device, so two organisers' events
+ * could share one. Give each numbered cleanup a text id, the same one wherever the same
+ * event is upgraded, and move its RSVPs, attendance and tally over. Works on stored data
+ * and on backups alike; returns the old id to new id map.
+ */
+function upgradeCleanupIds(data) {
+    const ids = new Map(LEGACY_SAMPLE_IDS);
+
+    if (Array.isArray(data.cleanups)) {
+        data.cleanups = data.cleanups.map(cleanup => {
+            if (!isPlainObject(cleanup) || typeof cleanup.id !== 'number') return cleanup;
+
+            const id = ids.get(cleanup.id) ||
+                `cleanup-${hashString([cleanup.id, cleanup.name, cleanup.date, cleanup.time, cleanup.location].join('|'))}`;
+            ids.set(cleanup.id, id);
+            return { ...cleanup, id };
+        });
+    }
+
+    // Records keyed by cleanup id
+    ['cleanup_rsvps', 'attendance', 'impact_records'].forEach(key => {
+        if (!isPlainObject(data[key])) return;
+        data[key] = Object.fromEntries(Object.entries(data[key]).map(([id, value]) => [ids.get(Number(id)) || id, value]));
+    });
+    if (isPlainObject(data.impact_records)) {
+        Object.values(data.impact_records).forEach(record => {
+            if (isPlainObject(record) && ids.has(record.cleanupId)) record.cleanupId = ids.get(record.cleanupId);
+        });
+    }
+
+    return ids;
+}
+
+/**
+ * Preferred backend: one IndexedDB object store, roomy enough for impact logs and photos
+ */
+const IndexedDBBackend = {
+    name: 'IndexedDB',
+    db: null,
+
+    open() {
+        return new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not supported'));
+                return;
+            }
+
+            // A slow open, or one blocked by another tab, succeeds once it can
+            const request = indexedDB.open(STORAGE_DB_NAME, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(STORAGE_DB_STORE);
+            request.onsuccess = () => {
+                this.db = request.result;
+                // Don't hold up a newer version of the app opening in another tab
+                this.db.onversionchange = () => this.db.close();
+                resolve();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * Run requests in one transaction, resolving once it commits
+     */
+    withStore(mode, callback) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(STORAGE_DB_STORE, mode);
+            callback(tx.objectStore(STORAGE_DB_STORE));
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    },
+
+    async loadAll() {
+        let keysRequest;
+        let valuesRequest;
+        await this.withStore('readonly', store => {
+            keysRequest = store.getAllKeys();
+            valuesRequest = store.getAll();
+        });
+
+        const keys = keysRequest.result;
+        const values = valuesRequest.result;
+        const data = {};
+        keys.forEach((key, index) => {
+            if (String(key).startsWith(STORAGE_NAMESPACE)) data[key.slice(STORAGE_NAMESPACE.length)] = values[index];
+        });
+        return data;
+    },
+
+    write(key, value) {
+        return this.withStore('readwrite', store => {
+            store.put(value, STORAGE_NAMESPACE + key);
+        });
+    },
+
+    delete(key) {
+        return this.withStore('readwrite', store => {
+            store.delete(STORAGE_NAMESPACE + key);
+        });
+    }
+};
+
+/**
+ * Fallback backend for browsers without a usable IndexedDB
+ */
+const LocalStorageBackend = {
+    name: 'localStorage',
+
+    async open() {
+        // Throws in browsers that block storage entirely
+        const probe = `${STORAGE_NAMESPACE}probe`;
+        localStorage.setItem(probe, '1');
+        localStorage.removeItem(probe);
+    },
+
+    async loadAll() {
+        const data = {};
+
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (!key.startsWith(STORAGE_NAMESPACE)) continue;
+
+            try {
+                data[key.slice(STORAGE_NAMESPACE.length)] = JSON.parse(localStorage.getItem(key));
+            } catch (err) {
+                console.warn(`Skipping unreadable storage key ${key}:`, err);
+            }
+        }
+        return data;
+    },
+
+    async write(key, value) {
+        localStorage.setItem(STORAGE_NAMESPACE + key, JSON.stringify(value));
+    },
+
+    async delete(key) {
+        localStorage.removeItem(STORAGE_NAMESPACE + key);
+    }
+};
+
+/**
+ * Namespaced, versioned storage. Everything is loaded into memory by init() so
+ * get/set stay synchronous; writes go to the backend in the background and
+ * failures are reported to onError() listeners instead of being dropped.
+ */
+const Storage = {
+    backend: null,
+    cache: new Map(),
+    pending: new Set(),
+    failed: new Set(),
+    error: null,
+    listeners: [],
+
+    /**
+     * Load stored data from the first backend that opens, then run migrations
+     */
+    async init(backends = [IndexedDBBackend, LocalStorageBackend]) {
+        for (const backend of backends) {
+            try {
+                await backend.open();
+                this.cache = new Map(Object.entries(await backend.loadAll()));
+                this.backend = backend;
+                break;
+            } catch (err) {
+                console.warn(`Storage backend ${backend.name} unavailable:`, err);
+            }
+        }
+
+        if (!this.backend) {
+            this.reportError(new Error('No storage backend available'));
+            return;
+        }
+
+        await this.migrate();
+    },
+
+    async migrate() {
+        const fromVersion = this.get('schema_version', 0);
+
+        if (fromVersion > STORAGE_SCHEMA_VERSION) {
+            console.warn(`Stored data uses schema v${fromVersion}, newer than this app (v${STORAGE_SCHEMA_VERSION})`);
+            return;
+        }
+
+        const migrations = STORAGE_MIGRATIONS.filter(migration => migration.version > fromVersion);
+        if (migrations.length === 0) return;
+
+        const data = Object.fromEntries([...this.cache].map(([key, value]) => [key, structuredClone(value)]));
+        migrations.forEach(migration => {
+            console.log(`Storage migration v${migration.version}: ${migration.description}`);
+            migration.migrate(data);
+        });
+
+        [...this.cache.keys()].filter(key => !(key in data)).forEach(key => this.remove(key));
+        Object.entries(data).forEach(([key, value]) => this.set(key, value));
+        this.set('schema_version', STORAGE_SCHEMA_VERSION);
+
+        try {
+            await this.flush();
+            migrations.forEach(migration => migration.cleanup?.());
+        } catch (err) {
+            // Already reported; legacy data stays put so nothing is lost
+        }
+    },
+
+    get(key, defaultValue = null) {
+        const value = this.cache.get(key);
+        return value == null ? defaultValue : structuredClone(value);
+    },
+
+    /**
+     * Returns false when nothing can be persisted (the value is still kept for this session)
+     */
+    set(key, value) {
+        this.cache.set(key, structuredClone(value));
+        this.persist(key);
+        return Boolean(this.backend);
+    },
+
+    remove(key) {
+        this.cache.delete(key);
+        this.persist(key);
+        return Boolean(this.backend);
+    },
+
+    persist(key) {
+        if (!this.backend) return;
+
+        const write = this.cache.has(key)
+            ? this.backend.write(key, this.cache.get(key))
+            : this.backend.delete(key);
+
+        const tracked = write
+            .then(() => {
+                this.failed.delete(key);
+                if (this.failed.size === 0 && this.error) this.setError(null);
+            })
+            .catch(err => {
+                this.failed.add(key);
+                this.reportError(err, key);
+            })
+            .finally(() => this.pending.delete(tracked));
+
+        this.pending.add(tracked);
+    },
+
+    /**
+     * Wait for queued writes; rejects if any key is still unsaved
+     */
+    async flush() {
+        await Promise.all([...this.pending]);
+        if (this.failed.size > 0) throw new Error(`Unsaved keys: ${[...this.failed].join(', ')}`);
+    },
+
+    /**
+     * Write every unsaved key again
+     */
+    retry() {
+        [...this.failed].forEach(key => this.persist(key));
+        return this.flush();
+    },
+
+    canRetry() {
+        return Boolean(this.backend) && this.failed.size > 0;
+    },
+
+    reportError(err, key = null) {
+        console.warn(`Storage write error${key ? ` for ${key}` : ''}:`, err);
+
+        let message = t('storage.failed');
+        if (!this.backend) {
+            message = t('storage.blocked');
+        } else if (err?.name === 'QuotaExceededError') {
+            message = t('storage.quota');
+        }
+        this.setError(message);
+    },
+
+    setError(message) {
+        this.error = message;
+        this.listeners.forEach(listener => listener(message));
+    },
+
+    /**
+     * Listen for storage problems; called with a message, or null once resolved
+     */
+    onError(listener) {
+        this.listeners.push(listener);
+        if (this.error) listener(this.error);
+    }
+};
+
+/**
+ * Visible banner for storage write failures, with a retry button
+ */
+class StorageErrorNotice {
+    constructor() {
+        this.banner = document.getElementById('storage-error');
+        this.message = document.getElementById('storage-error-message');
+        this.retryBtn = document.getElementById('storage-retry-btn');
+        this.init();
+    }
+
+    init() {
+        if (!this.banner) return;
+
+        addListener(this.retryBtn, 'click', () => {
+            Storage.retry().catch(() => {
+                // Still failing; the banner stays up with the latest message
+            });
+        });
+        Storage.onError(message => this.render(message));
+    }
+
+    render(message) {
+        this.banner.hidden = !message;
+        this.message.textContent = message || '';
+        this.retryBtn.hidden = !Storage.canRetry();
+    }
+}
+
+// ============================================
+// APP STATE
+// ============================================
+
+// Store keys that are saved to Storage, and the storage key each one uses
+const PERSISTED_STATE = {
+    profile: 'user_profile',
+    roster: 'crew_roster',
+    cleanups: 'cleanups',
+    rsvps: 'cleanup_rsvps',
+    attendance: 'attendance',
+    language: 'language',
+    reminders: 'reminder_settings'
+};
+
+/**
+ * Small observable store. Subscribers name the top-level keys they render and
+ * are only called when one of those keys changes (compared by reference), so
+ * state must be replaced, never mutated.
+ */
+class Store {
+    constructor(initialState = {}) {
+        this.state = initialState;
+        this.subscriptions = new Set();
+    }
+
+    getState() {
+        return this.state;
+    }
+
+    /**
+     * Merge changes into state and notify subscribers of the keys that changed
+     */
+    setState(changes) {
+        const changed = Object.keys(changes).filter(key => changes[key] !== this.state[key]);
+        if (changed.length === 0) return;
+
+        const prevState = this.state;
+        this.state = { ...prevState, ...changes };
+
+        this.subscriptions.forEach(({ keys, listener }) => {
+            if (keys.some(key => changed.includes(key))) listener(this.state, prevState, changed);
+        });
+    }
+
+    /**
+     * Call listener(state, prevState, changedKeys) when any of keys change.
+     * Returns an unsubscribe function.
+     */
+    subscribe(keys, listener) {
+        const subscription = { keys, listener };
+        this.subscriptions.add(subscription);
+        return () => this.subscriptions.delete(subscription);
+    }
+}
+
+/**
+ * Build a crew member record, rotating default avatars so new members are easy to tell apart
+ */
+function createCrewMember({ name, email, location = '', role = 'member', avatar, cleanupsCompleted = 0, joinedAt }, roster = []) {
+    const defaultAvatar = CREW_AVATARS[roster.length % CREW_AVATARS.length];
+
+    return {
+        id: generateId('member'),
+        name,
+        email,
+        location,
+        role: CREW_ROLES.includes(role) ? role : 'member',
+        avatar: CREW_AVATARS.includes(avatar) ? avatar : defaultAvatar,
+        cleanupsCompleted: Math.max(0, Number(cleanupsCompleted) || 0),
+        joinedAt: joinedAt || new Date().toISOString()
+    };
+}
+
+/**
+ * True if the current user is an organiser on the crew roster
+ */
+function isOrganiser({ profile, roster }) {
+    return roster.some(member => member.id === profile?.memberId && member.role === 'organiser');
+}
+
+/**
+ * True if a roster member other than exceptId already uses this email
+ */
+function isEmailTaken(roster, email, exceptId = null) {
+    const normalised = email.trim().toLowerCase();
+    return roster.some(member => member.id !== exceptId && member.email.toLowerCase() === normalised);
+}
+
+/**
+ * Attendance keys for whoever is using this device: their roster id, plus SELF_RSVP
+ * for any check-ins from before they joined the roster
+ */
+function getSelfKeys(profile) {
+    return profile?.memberId ? [profile.memberId, SELF_RSVP] : [SELF_RSVP];
+}
+
+function hasAttended(attendance, cleanupId, keys) {
+    return (attendance[cleanupId] || []).some(key => keys.includes(key));
+}
+
+/**
+ * Cleanups attended under any of these keys
+ */
+function countAttended(attendance, keys) {
+    return Object.keys(attendance).filter(id => hasAttended(attendance, id, keys)).length;
+}
+
+/**
+ * Cleanups in a row, most recent first, attended under any of these keys. One that's
+ * still under way doesn't break the run before you've had a chance to check in.
+ */
+function getAttendanceStreak(cleanups, attendance, keys, now = Date.now()) {
+    const started = cleanups
+        .map(cleanup => ({ cleanup, start: parseEventDateTime(cleanup.date, cleanup.time).getTime() }))
+        .filter(({ cleanup, start }) => !cleanup.cancelled && start <= now)
+        .sort((a, b) => b.start - a.start);
+
+    let streak = 0;
+    for (const { cleanup, start } of started) {
+        if (hasAttended(attendance, cleanup.id, keys)) streak++;
+        else if (now >= start + CONFIG.CLEANUP_DURATION) break;
+    }
+    return streak;
+}
+
+/**
+ * Initial state from Storage (which must already be initialised)
+ */
+function createInitialState() {
+    let profile = Storage.get('user_profile');
+    let roster = Storage.get('crew_roster');
+
+    // A profile saved before the roster existed becomes its first organiser
+    if (!Array.isArray(roster)) {
+        roster = [];
+        if (profile) {
+            const member = createCrewMember({ ...profile, role: 'organiser' });
+            roster = [member];
+            profile = { ...profile, memberId: member.id };
+            Storage.set('crew_roster', roster);
+            Storage.set('user_profile', profile);
+        }
+    }
+
+    return {
+        profile,
+        roster,
+        cleanups: Storage.get('cleanups', CLEANUP_DATA),
+        rsvps: Storage.get('cleanup_rsvps', {}),
+        // Who came to each cleanup: { [cleanupId]: [memberId or SELF_RSVP] }
+        attendance: Storage.get('attendance', {}),
+        filters: readFiltersFromURL(),
+        origin: null,
+        weather: { forecast: null, updatedAt: null, stale: false },
+        suitability: {},
+        // Tide stations from CONFIG.TIDES.FILE, once loaded
+        tides: null,
+        reminders: { ...DEFAULT_REMINDER_SETTINGS, ...Storage.get('reminder_settings', {}) },
+        // Loaded by I18n.use() before the store is created
+        language: I18n.language
+    };
+}
+
+/**
+ * Save persisted keys whenever they change
+ */
+function persistState(store) {
+    return store.subscribe(Object.keys(PERSISTED_STATE), (state, prevState, changed) => {
+        changed
+            .filter(key => key in PERSISTED_STATE)
+            .forEach(key => Storage.set(PERSISTED_STATE[key], state[key]));
+    });
+}
+
+/**
+ * Every state change goes through one of these
+ */
+function createActions(store) {
+    return {
+        /**
+         * Save the join form as your profile and add or update your roster entry.
+         * The first person to join a crew becomes its organiser.
+         */
+        saveProfile(userData) {
+            const { profile, roster } = store.getState();
+            const existing = roster.find(member => member.id === profile?.memberId);
+            const member = existing
+                ? { ...existing, name: userData.name, email: userData.email, location: userData.location }
+                : createCrewMember({ ...userData, role: roster.length === 0 ? 'organiser' : 'member' }, roster);
+            const nextProfile = { ...userData, memberId: member.id };
+
+            store.setState({
+                roster: existing ? roster.map(item => item.id === member.id ? member : item) : [...roster, member],
+                profile: nextProfile
+            });
+            return nextProfile;
+        },
+
+        addMember(data) {
+            const { roster } = store.getState();
+            const member = createCrewMember(data, roster);
+
+            store.setState({ roster: [...roster, member] });
+            return member;
+        },
+
+        updateMember(id, data) {
+            const { roster, profile } = store.getState();
+            const existing = roster.find(member => member.id === id);
+            if (!existing) return null;
+
+            const member = {
+                ...existing,
+                name: data.name,
+                email: data.email,
+                role: CREW_ROLES.includes(data.role) ? data.role : existing.role,
+                avatar: CREW_AVATARS.includes(data.avatar) ? data.avatar : existing.avatar,
+                cleanupsCompleted: Math.max(0, Number(data.cleanupsCompleted) || 0)
+            };
+            const changes = { roster: roster.map(item => item.id === id ? member : item) };
+
+            // Keep your own profile in step with your roster entry
+            if (profile?.memberId === id) {
+                changes.profile = { ...profile, name: member.name, email: member.email };
+            }
+
+            store.setState(changes);
+            return member;
+        },
+
+        /**
+         * Take someone off the roster along with their attendance. Cancel their RSVPs
+         * first (RsvpManager.cancel) so the waitlists move up.
+         */
+        removeMember(id) {
+            const { roster, attendance } = store.getState();
+            store.setState({
+                roster: roster.filter(member => member.id !== id),
+                attendance: Object.fromEntries(Object.entries(attendance).map(([cleanupId, attendees]) =>
+                    [cleanupId, attendees.filter(key => key !== id)]
+                ))
+            });
+        },
+
+        setRsvps(rsvps) {
+            store.setState({ rsvps });
+        },
+
+        /**
+         * Mark someone as at a cleanup or not; returns false if nothing changed
+         */
+        setAttendance(id, key, present) {
+            const { attendance } = store.getState();
+            const attendees = attendance[id] || [];
+            if (attendees.includes(key) === present) return false;
+
+            store.setState({
+                attendance: {
+                    ...attendance,
+                    [id]: present ? [...attendees, key] : attendees.filter(item => item !== key)
+                }
+            });
+            return true;
+        },
+
+        setFilters(changes) {
+            store.setState({ filters: { ...store.getState().filters, ...changes } });
+        },
+
+        setOrigin(origin) {
+            store.setState({ origin });
+        },
+
+        setWeather(weather) {
+            store.setState({ weather: { ...store.getState().weather, ...weather } });
+        },
+
+        setSuitability(suitability) {
+            store.setState({ suitability });
+        },
+
+        /**
+         * Schedule a new cleanup, or update the one with the given id; returns the saved cleanup
+         */
+        saveCleanup(data, id = null) {
+            const { cleanups } = store.getState();
+            const existing = cleanups.find(cleanup => cleanup.id === id);
+            const cleanup = existing
+                ? { ...existing, ...data }
+                : { ...data, id: generateId('cleanup'), crewCount: 0 };
+
+            store.setState({
+                cleanups: existing
+                    ? cleanups.map(item => item.id === id ? cleanup : item)
+                    : [...cleanups, cleanup]
+            });
+            return cleanup;
+        },
+
+        cancelCleanup(id, reason) {
+            const { cleanups } = store.getState();
+            const cleanup = cleanups.find(item => item.id === id);
+            if (!cleanup) return null;
+
+            const cancelled = { ...cleanup, cancelled: { reason, at: new Date().toISOString() } };
+            store.setState({ cleanups: cleanups.map(item => item.id === id ? cancelled : item) });
+            return cancelled;
+        },
+
+        setTides(tides) {
+            store.setState({ tides });
+        },
+
+        setLanguage(language) {
+            store.setState({ language });
+        },
+
+        setReminders(changes) {
+            store.setState({ reminders: { ...store.getState().reminders, ...changes } });
+        },
+
+        /**
+         * Mute or unmute reminders and forecast alerts for one cleanup; returns true when now muted
+         */
+        toggleReminderMute(id) {
+            const { reminders } = store.getState();
+            const muted = !reminders.muted.includes(id);
+
+            store.setState({
+                reminders: {
+                    ...reminders,
+                    muted: muted ? [...reminders.muted, id] : reminders.muted.filter(item => item !== id)
+                }
+            });
+            return muted;
+        }
+    };
+}
+
+// ============================================
+// CALENDAR EXPORT (iCalendar, RFC 5545)
+// ============================================
+
+// Singapore has been on UTC+8 all year since 1982, so one STANDARD block covers every event
+const ICS_TZID = 'Asia/Singapore';
+const ICS_TIMEZONE = [
+    'BEGIN:VTIMEZONE',
+    `TZID:${ICS_TZID}`,
+    'BEGIN:STANDARD',
+    'DTSTART:19820101T000000',
+    'TZOFFSETFROM:+0730',
+    'TZOFFSETTO:+0800',
+    'TZNAME:SGT',
+    'END:STANDARD',
+    'END:VTIMEZONE'
+];
+
+/**
+ * Escape a TEXT value: backslashes, semicolons, commas and newlines
+ */
+function escapeICSText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line at 75 octets without splitting multi-byte characters
+ */
+function foldICSLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let bytes = 0;
+
+    for (const char of line) {
+        const size = encoder.encode(char).length;
+        // Continuation lines start with a space, which counts towards their limit
+        const limit = parts.length === 0 ? 75 : 74;
+
+        if (bytes + size > limit) {
+            parts.push(current);
+            current = '';
+            bytes = 0;
+        }
+        current += char;
+        bytes += size;
+    }
+
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+/**
+ * Event wall-clock time as a local DATE-TIME, e.g. 20251214T090000.
+ * Worked out in UTC so the device's own timezone never shifts Singapore times.
+ */
+function formatICSDateTime(date, time, offsetMs = 0) {
+    const [year, month, day] = date.split('-').map(Number);
+    const { hours, minutes } = parseEventTime(time);
+    const wallClock = new Date(Date.UTC(year, month - 1, day, hours, minutes) + offsetMs);
+
+    return wallClock.toISOString().replace(/[-:]/g, '').slice(0, 15);
+}
+
+function formatICSTimestamp(date = new Date()) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * VEVENT lines for a cleanup, with a display alarm before it starts.
+ * Waitlisted RSVPs are exported as tentative, called-off events as cancelled.
+ */
+function buildICSEvent(cleanup, { status = 'going', url = '' } = {}) {
+    const waitlisted = status === 'waitlisted';
+    const description = url ? `${cleanup.description}\n\n${t('calendar.details', { url })}` : cleanup.description;
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${cleanup.id}@shoresquad`,
+        `DTSTAMP:${formatICSTimestamp()}`,
+        `DTSTART;TZID=${ICS_TZID}:${formatICSDateTime(cleanup.date, cleanup.time)}`,
+        `DTEND;TZID=${ICS_TZID}:${formatICSDateTime(cleanup.date, cleanup.time, CONFIG.CLEANUP_DURATION)}`,
+        `SUMMARY:${escapeICSText(waitlisted ? t('calendar.waitlisted', { name: cleanup.name }) : cleanup.name)}`,
+        `DESCRIPTION:${escapeICSText(description)}`,
+        `LOCATION:${escapeICSText(t('detail.place', { location: cleanup.location }))}`,
+        `STATUS:${cleanup.cancelled ? 'CANCELLED' : waitlisted ? 'TENTATIVE' : 'CONFIRMED'}`
+    ];
+
+    if (Number.isFinite(cleanup.lat) && Number.isFinite(cleanup.lng)) {
+        lines.push(`GEO:${cleanup.lat};${cleanup.lng}`);
+    }
+    if (url) lines.push(`URL:${url}`);
+
+    lines.push(
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        `DESCRIPTION:${escapeICSText(t('calendar.startsSoon', { name: cleanup.name }))}`,
+        `TRIGGER:-PT${CONFIG.CALENDAR_REMINDER_MINUTES}M`,
+        'END:VALARM',
+        'END:VEVENT'
+    );
+    return lines;
+}
+
+/**
+ * A complete VCALENDAR document (CRLF line endings) from buildICSEvent() results
+ */
+function buildCalendar(events, name) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//ShoreSquad//Beach Cleanups//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeICSText(name)}`,
+        `X-WR-TIMEZONE:${ICS_TZID}`,
+        ...ICS_TIMEZONE,
+        ...events.flat(),
+        'END:VCALENDAR'
+    ];
+
+    return lines.map(foldICSLine).join('\r\n') + '\r\n';
+}
+
+// ============================================
+// NAVIGATION & MOBILE MENU
+// ============================================
+
+class NavigationManager {
+    constructor() {
+        this.hamburger = document.getElementById('hamburger-btn');
+        this.menu = document.getElementById('navbar-menu');
+        this.init();
+    }
+
+    init() {
+        if (this.hamburger && this.menu) {
+            addListener(this.hamburger, 'click', () => this.toggleMenu());
+            
+            // Close menu when a link is clicked
+            this.menu.querySelectorAll('a').forEach(link => {
+                addListener(link, 'click', () => this.closeMenu());
+            });
+        }
+
+        // The menubar is one tab stop; arrow keys move between its items
+        this.roving = new RovingFocus(this.menu, '[role="menuitem"]');
+
+        // Menu items activate on Space as well as Enter, links included
+        addListener(this.menu, 'keydown', (e) => {
+            if (e.key === ' ' && e.target.matches('a[role="menuitem"]')) {
+                e.preventDefault();
+                e.target.click();
+            }
+        });
+    }
+
+    toggleMenu() {
+        const isOpen = this.menu.classList.contains('active');
+        isOpen ? this.closeMenu() : this.openMenu();
+    }
+
+    openMenu() {
+        this.menu.classList.add('active');
+        this.hamburger.setAttribute('aria-expanded', 'true');
+        announceToScreenReader(t('nav.opened'));
+    }
+
+    closeMenu() {
+        this.menu.classList.remove('active');
+        this.hamburger.setAttribute('aria-expanded', 'false');
+    }
+}
+
+// ============================================
+// SEARCH
+// ============================================
+
+const SEARCH_MAX_RESULTS = 8;
+
+// Characters of description shown either side of a match
+const SEARCH_SNIPPET_CONTEXT = 30;
+
+/**
+ * Lower-case and strip accents one character at a time, so positions found in the
+ * result line up with the original text for highlighting
+ */
+function normaliseSearchText(text) {
+    return Array.from(String(text), char => {
+        const folded = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+        return folded.length === char.length ? folded : char;
+    }).join('');
+}
+
+/**
+ * Optimal string alignment distance: edits, with a swap of neighbours counting as one
+ */
+function editDistance(a, b) {
+    const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+    for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+            }
+        }
+    }
+
+    return rows[a.length][b.length];
+}
+
+/**
+ * How well one query term matches some text: { score, start, end } or null.
+ * Word starts beat matches inside words, which beat near misses. Longer terms
+ * allow more typos, counted against whole words or the start of a word.
+ */
+function matchTerm(term, text) {
+    let best = null;
+    const consider = (score, start, end) => {
+        if (!best || score > best.score) best = { score, start, end };
+    };
+
+    const index = text.indexOf(term);
+    if (index !== -1) {
+        const atWordStart = index === 0 || !/[\p{L}\p{N}]/u.test(text[index - 1]);
+        consider(atWordStart ? 1 : 0.8, index, index + term.length);
+    }
+
+    const allowed = term.length <= 3 ? 0 : term.length <= 6 ? 1 : 2;
+    if (best || allowed === 0) return best;
+
+    for (const { 0: word, index: start } of text.matchAll(/[\p{L}\p{N}]+/gu)) {
+        const distance = Math.min(editDistance(term, word), editDistance(term, word.slice(0, term.length)));
+        if (distance <= allowed) consider(0.6 - distance * 0.1, start, start + word.length);
+    }
+
+    return best;
+}
+
+/**
+ * Score an item's weighted fields against every query term. All terms have to
+ * match somewhere; returns { score, matches: { field: [[start, end], ...] } } or null.
+ */
+function scoreSearchFields(terms, fields) {
+    const matches = {};
+    let total = 0;
+
+    for (const term of terms) {
+        let best = null;
+
+        fields.forEach(({ key, text, weight }) => {
+            const match = text && matchTerm(term, normaliseSearchText(text));
+            if (match && (!best || match.score * weight > best.score)) {
+                best = { key, score: match.score * weight, range: [match.start, match.end] };
+            }
+        });
+
+        if (!best) return null;
+        total += best.score;
+        matches[best.key] = [...(matches[best.key] || []), best.range];
+    }
+
+    return { score: total, matches };
+}
+
+/**
+ * Text with the matched ranges wrapped in <mark>
+ */
+function highlightMatches(text, ranges = []) {
+    const parts = [];
+    let position = 0;
+
+    [...ranges].sort((a, b) => a[0] - b[0]).forEach(([start, end]) => {
+        if (start < position) start = position;
+        if (end <= start) return;
+        parts.push(text.slice(position, start), html`<mark>${text.slice(start, end)}</mark>`);
+        position = end;
+    });
+
+    parts.push(text.slice(position));
+    return parts;
+}
+
+/**
+ * Navbar combobox over cleanups (names and descriptions), their beaches and the crew.
+ * Cleanups jump to their card, beaches to the map marker and crew to the roster.
+ */
+class SearchManager {
+    constructor({ store, cleanupManager, map, router }) {
+        this.store = store;
+        this.cleanupManager = cleanupManager;
+        this.map = map;
+        this.router = router;
+        this.input = document.getElementById('search-input');
+        this.listbox = document.getElementById('search-results');
+        this.empty = document.getElementById('search-empty');
+        this.results = [];
+        this.activeIndex = -1;
+        this.search = debounce(() => this.update());
+        this.init();
+    }
+
+    init() {
+        if (!this.input || !this.listbox) return;
+
+        addListener(this.input, 'input', () => this.search());
+        addListener(this.input, 'keydown', (e) => this.handleKeydown(e));
+        addListener(this.input, 'focus', () => {
+            if (this.results.length) this.open();
+        });
+        addListener(this.input.closest('.navbar-search'), 'focusout', (e) => {
+            if (!e.currentTarget.contains(e.relatedTarget)) this.close();
+        });
+
+        // mousedown would blur the input and close the list before the click lands
+        addListener(this.listbox, 'mousedown', (e) => e.preventDefault());
+        addListener(this.listbox, 'click', (e) => {
+            const option = e.target.closest('[role="option"]');
+            if (option) this.choose(Number(option.dataset.index));
+        });
+
+        this.store.subscribe(['cleanups', 'roster', 'language'], () => {
+            if (this.input.value.trim()) this.update();
+        });
+    }
+
+    /**
+     * Ranked results for a query, best first
+     */
+    find(query) {
+        const terms = normaliseSearchText(query).split(/\s+/).filter(Boolean);
+        if (terms.length === 0) return [];
+
+        const { cleanups, roster } = this.store.getState();
+        const results = [];
+        const add = (result, fields) => {
+            const match = scoreSearchFields(terms, fields);
+            if (match) results.push({ ...result, ...match });
+        };
+
+        cleanups.forEach(cleanup => add({ type: 'cleanup', id: cleanup.id, label: cleanup.name, cleanup }, [
+            { key: 'label', text: cleanup.name, weight: 3 },
+            { key: 'description', text: cleanup.description, weight: 1 }
+        ]));
+
+        // One result per beach, pointing at its soonest cleanup
+        const beaches = new Map();
+        [...cleanups]
+            .sort((a, b) => this.cleanupManager.compareCleanups(a, b, 'soonest'))
+            .forEach(cleanup => {
+                const key = cleanup.location.trim().toLowerCase();
+                if (!beaches.has(key)) beaches.set(key, { cleanup, count: 0 });
+                beaches.get(key).count++;
+            });
+        beaches.forEach(({ cleanup, count }, key) => add({ type: 'beach', id: key, label: cleanup.location, cleanup, count }, [
+            { key: 'label', text: cleanup.location, weight: 2 }
+        ]));
+
+        roster.forEach(member => add({ type: 'member', id: member.id, label: member.name, member }, [
+            { key: 'label', text: member.name, weight: 3 }
+        ]));
+
+        return results
+            .sort((a, b) => b.score - a.score || a.label.localeCompare(b.label))
+            .slice(0, SEARCH_MAX_RESULTS);
+    }
+
+    update() {
+        const query = this.input.value.trim();
+        this.results = this.find(query);
+        this.activeIndex = -1;
+        this.input.removeAttribute('aria-activedescendant');
+
+        renderInto(this.listbox, this.results.map((result, index) => this.renderResult(result, index)));
+        this.empty.hidden = !query || this.results.length > 0;
+
+        if (this.results.length) this.open();
+        else this.close();
+
+        if (query) {
+            announceToScreenReader(this.results.length
+                ? t('search.results', { count: this.results.length })
+                : t('search.noResults', { query }));
+        }
+    }
+
+    renderResult(result, index) {
+        const label = highlightMatches(result.label, result.matches.label);
+        let icon;
+        let meta;
+
+        if (result.type === 'cleanup') {
+            icon = '🧹';
+            meta = result.matches.description
+                ? this.renderSnippet(result.cleanup.description, result.matches.description)
+                : `${this.cleanupManager.formatEventDate(result.cleanup)} · ${result.cleanup.location}`;
+        } else if (result.type === 'beach') {
+            icon = '📍';
+            meta = t('search.onMap', { count: result.count });
+        } else {
+            icon = '👤';
+            meta = t(`role.${result.member.role}`);
+        }
+
+        return html`
+            <li role="option" id="search-option-${index}" class="search-option" data-index="${index}" aria-selected="false">
+                <span class="search-icon" aria-hidden="true">${icon}</span>
+                <span class="search-text">
+                    <span class="search-label">${label}</span>
+                    <span class="search-meta">${meta}</span>
+                </span>
+            </li>
+        `;
+    }
+
+    /**
+     * A few words either side of the first match in a long description
+     */
+    renderSnippet(text, ranges) {
+        const [first] = [...ranges].sort((a, b) => a[0] - b[0]);
+        const start = Math.max(0, text.lastIndexOf(' ', Math.max(first[0] - SEARCH_SNIPPET_CONTEXT, 0)) + 1);
+        const endSpace = text.indexOf(' ', first[1] + SEARCH_SNIPPET_CONTEXT);
+        const end = endSpace === -1 ? text.length : endSpace;
+        const shifted = ranges
+            .filter(([from, to]) => from >= start && to <= end)
+            .map(([from, to]) => [from - start, to - start]);
+
+        return [start > 0 && '…', highlightMatches(text.slice(start, end), shifted), end < text.length && '…'];
+    }
+
+    open() {
+        this.listbox.hidden = false;
+        this.input.setAttribute('aria-expanded', 'true');
+    }
+
+    close() {
+        this.listbox.hidden = true;
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.removeAttribute('aria-activedescendant');
+        this.setActive(-1);
+    }
+
+    setActive(index) {
+        this.activeIndex = index;
+
+        this.listbox.querySelectorAll('[role="option"]').forEach(option => {
+            const active = Number(option.dataset.index) === index;
+            option.setAttribute('aria-selected', String(active));
+            if (active) {
+                this.input.setAttribute('aria-activedescendant', option.id);
+                option.scrollIntoView({ block: 'nearest' });
+            }
+        });
+    }
+
+    handleKeydown(e) {
+        const count = this.results.length;
+
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            if (count === 0) return;
+            e.preventDefault();
+
+            if (this.listbox.hidden) this.open();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            const from = this.activeIndex === -1 && step === -1 ? 0 : this.activeIndex;
+            this.setActive((from + step + count) % count);
+        } else if (e.key === 'Enter') {
+            if (this.listbox.hidden || count === 0) return;
+            e.preventDefault();
+            this.choose(Math.max(this.activeIndex, 0));
+        } else if (e.key === 'Escape') {
+            // First Escape closes the list, the next clears the box
+            if (!this.listbox.hidden) {
+                e.preventDefault();
+                this.close();
+            } else if (this.input.value) {
+                e.preventDefault();
+                this.input.value = '';
+                this.update();
+            }
+        }
+    }
+
+    choose(index) {
+        const result = this.results[index];
+        if (!result) return;
+
+        this.close();
+        this.input.value = result.label;
+
+        if (result.type === 'member') {
+            this.reveal('/crew', document.querySelector(`#crew-list [data-member-id="${result.id}"]`));
+        } else if (result.type === 'beach') {
+            this.showOnMap(result.cleanup);
+        } else if (!this.reveal('/cleanups', document.getElementById(`cleanup-${result.id}`))) {
+            // Filtered out of the list, so open its own page instead
+            this.router.navigate(`/cleanups/${result.id}`);
+        }
+    }
+
+    /**
+     * Select a cleanup's map marker, or open its page when filters hide it from the map
+     */
+    showOnMap(cleanup) {
+        const marker = this.map?.svg?.querySelector(`.map-marker[data-cleanup-id="${cleanup.id}"]`);
+        if (!marker) {
+            this.router.navigate(`/cleanups/${cleanup.id}`);
+            return;
+        }
+
+        this.map.selectCleanup(cleanup.id);
+        this.reveal('/map', marker);
+    }
+
+    /**
+     * Scroll to an element in the main page, leaving the detail view if it's open,
+     * and move focus there. Returns false when there's nothing to show.
+     */
+    reveal(path, element) {
+        if (!element) return false;
+
+        // pushState changes the URL without the router scrolling to the top of the section
+        this.router.hideDetail();
+        if (window.location.hash !== `#${path}`) history.pushState(null, '', `#${path}`);
+
+        if (!element.hasAttribute('tabindex')) element.setAttribute('tabindex', '-1');
+        element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        element.focus({ preventScroll: true });
+
+        element.classList.remove('search-target');
+        void element.offsetWidth; // restart the highlight animation
+        element.classList.add('search-target');
+        return true;
+    }
+}
+
+// ============================================
+// LANGUAGE SWITCHER
+// ============================================
+
+class LanguageManager {
+    constructor({ store, actions }) {
+        this.store = store;
+        this.actions = actions;
+        this.select = document.getElementById('language-select');
+        this.init();
+    }
+
+    init() {
+        if (!this.select) return;
+
+        // Each language is listed in its own script, so it can be found without reading the current one
+        renderInto(this.select, Object.entries(LANGUAGES).map(([code, { name }]) => html`
+            <option value="${code}" lang="${code}">${name}</option>
+        `));
+        this.select.value = I18n.language;
+
+        addListener(this.select, 'change', () => this.setLanguage(this.select.value));
+        this.store.subscribe(['language'], ({ language }) => {
+            this.select.value = language;
+        });
+    }
+
+    /**
+     * Load the catalogue before updating the store, so everything re-renders in the new language at once
+     */
+    async setLanguage(language) {
+        const applied = await I18n.use(language);
+        this.actions.setLanguage(applied);
+        this.select.value = applied;
+        announceToScreenReader(t('language.changed', { language: LANGUAGES[applied].name }));
+    }
+}
+
+// ============================================
+// MODAL MANAGEMENT
+// ============================================
+
+class ModalManager {
+    constructor({ store, actions }) {
+        this.store = store;
+        this.actions = actions;
+        this.modal = document.getElementById('join-modal');
+        this.form = document.getElementById('join-form');
+        this.closeBtn = this.modal?.querySelector('.modal-close');
+        this.init();
+    }
+
+    init() {
+        if (this.modal) {
+            // All join buttons
+            document.querySelectorAll('#join-btn, #cta-join, #final-cta').forEach(btn => {
+                addListener(btn, 'click', (e) => {
+                    e.preventDefault();
+                    this.open();
+                });
+            });
+
+            // Close button
+            if (this.closeBtn) {
+                addListener(this.closeBtn, 'click', () => this.close());
+            }
+
+            // Close on backdrop click
+            addListener(this.modal, 'click', (e) => {
+                if (e.target === this.modal) this.close();
+            });
+
+            // Close on Escape key
+            addListener(document, 'keydown', (e) => {
+                if (e.key === 'Escape' && this.modal.open) this.close();
+            });
+
+            // Form submission
+            if (this.form) {
+                addListener(this.form, 'submit', (e) => this.handleSubmit(e));
+
+                // Clear the duplicate-email error once the address is edited
+                addListener(this.form.elements.email, 'input', (e) => e.target.setCustomValidity(''));
+            }
+        }
+    }
+
+    open() {
+        openDialog(this.modal, { title: t('join.title'), focus: this.form?.querySelector('input') });
+    }
+
+    close() {
+        closeDialog(this.modal);
+    }
+
+    handleSubmit(e) {
+        e.preventDefault();
+        
+        const formData = new FormData(this.form);
+        const { profile, roster } = this.store.getState();
+        const userData = {
+            name: formData.get('name').trim(),
+            email: formData.get('email').trim(),
+            location: formData.get('location').trim(),
+            joinedAt: profile?.joinedAt || new Date().toISOString()
+        };
+
+        // Someone else on the roster already uses this email
+        const emailInput = this.form.elements.email;
+        if (isEmailTaken(roster, userData.email, profile?.memberId)) {
+            emailInput.setCustomValidity(t('crew.emailTaken'));
+            emailInput.reportValidity();
+            announceToScreenReader(t('crew.emailTaken'), 'assertive');
+            return;
+        }
+
+        // Saves your profile and adds or updates your entry on the crew roster
+        const saved = this.actions.saveProfile(userData);
+        sendCrewAction('crew:join', saved);
+        
+        // Show success message
+        announceToScreenReader(t('join.success'));
+        console.log('User joined:', saved);
+
+        // Reset form and close modal
+        this.form.reset();
+        this.close();
+    }
+}
+
+// ============================================
+// CREW ROSTER
+// ============================================
+
+class CrewManager {
+    constructor({ store, actions, cleanupManager }) {
+        this.store = store;
+        this.actions = actions;
+        this.cleanupManager = cleanupManager;
+        this.list = document.getElementById('crew-list');
+        this.modal = document.getElementById('member-modal');
+        this.form = document.getElementById('member-form');
+        this.title = document.getElementById('member-modal-title');
+        this.error = document.getElementById('member-form-error');
+        this.addBtn = document.getElementById('add-member-btn');
+        this.closeBtn = this.modal?.querySelector('.modal-close');
+        this.editingId = null;
+        this.init();
+    }
+
+    init() {
+        this.render();
+        this.store.subscribe(['roster', 'profile', 'attendance', 'language'], () => this.render());
+
+        addListener(this.addBtn, 'click', () => this.openForm());
+
+        // Edit/remove buttons on re-rendered members
+        addListener(this.list, 'click', (e) => {
+            const button = e.target.closest('[data-action]');
+            const memberId = button?.closest('[data-member-id]')?.dataset.memberId;
+            if (!memberId) return;
+
+            if (button.dataset.action === 'edit') this.openForm(memberId);
+            if (button.dataset.action === 'remove') this.removeMember(memberId);
+        });
+
+        if (this.modal) {
+            addListener(this.closeBtn, 'click', () => this.closeForm());
+            addListener(this.modal, 'click', (e) => {
+                if (e.target === this.modal) this.closeForm();
+            });
+            addListener(this.modal, 'cancel', (e) => {
+                e.preventDefault();
+                this.closeForm();
+            });
+            addListener(this.form, 'submit', (e) => this.handleSubmit(e));
+            addListener(this.form?.elements.email, 'input', (e) => {
+                e.target.setCustomValidity('');
+                this.showError('');
+            });
+        }
+    }
+
+    get members() {
+        return this.store.getState().roster;
+    }
+
+    getMember(id) {
+        return this.members.find(member => member.id === id);
+    }
+
+    getCurrentUserId() {
+        return this.store.getState().profile?.memberId || null;
+    }
+
+    /**
+     * Render the roster into #crew-list
+     */
+    render() {
+        if (!this.list) return;
+
+        if (this.members.length === 0) {
+            renderInto(this.list, html`
+                <div class="crew-member" role="listitem">
+                    <div class="member-avatar" aria-hidden="true">👤</div>
+                    <div class="member-info">
+                        <h4>${t('crew.you')}</h4>
+                        <p>${t('crew.emptyHint')}</p>
+                    </div>
+                </div>
+            `);
+            return;
+        }
+
+        const currentUserId = this.getCurrentUserId();
+
+        // Organisers first, then by name
+        const members = [...this.members].sort((a, b) =>
+            (a.role === 'organiser' ? 0 : 1) - (b.role === 'organiser' ? 0 : 1) || a.name.localeCompare(b.name)
+        );
+
+        renderList(this.list, members, {
+            key: member => member.id,
+            render: member => this.renderMember(member, member.id === currentUserId)
+        });
+    }
+
+    /**
+     * Cleanups from before check-in plus every one they've been checked in to
+     */
+    getCompletedCount(member, isYou) {
+        const { attendance, profile } = this.store.getState();
+        return member.cleanupsCompleted + countAttended(attendance, isYou ? getSelfKeys(profile) : [member.id]);
+    }
+
+    renderMember(member, isYou) {
+        return html`
+            <div class="crew-member" role="listitem" data-member-id="${member.id}">
+                <div class="member-avatar" aria-hidden="true">${member.avatar}</div>
+                <div class="member-info">
+                    <h4>${member.name}${isYou && html` <span class="member-you">${t('crew.youSuffix')}</span>`}</h4>
+                    <p>
+                        <span class="member-role role-${member.role}">${t(`role.${member.role}`)}</span>
+                        ${t('crew.completed', { count: this.getCompletedCount(member, isYou) })}
+                    </p>
+                </div>
+                <div class="member-actions">
+                    <button class="btn-icon" data-action="edit" aria-label="${t('crew.edit', { name: member.name })}">✏️</button>
+                    ${!isYou && html`<button class="btn-icon" data-action="remove" aria-label="${t('crew.remove', { name: member.name })}">🗑️</button>`}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Open the member dialog, empty for a new member or filled in for editing
+     */
+    openForm(memberId = null) {
+        if (!this.modal || !this.form) return;
+
+        const member = memberId ? this.getMember(memberId) : null;
+        this.editingId = member?.id || null;
+
+        this.form.reset();
+        this.showError('');
+        this.form.elements.email.setCustomValidity('');
+        this.title.textContent = member ? t('crew.edit', { name: member.name }) : t('member.addTitle');
+
+        if (member) {
+            this.form.elements.name.value = member.name;
+            this.form.elements.email.value = member.email;
+            this.form.elements.role.value = member.role;
+            this.form.elements.avatar.value = member.avatar;
+            this.form.elements.cleanupsCompleted.value = member.cleanupsCompleted;
+        } else {
+            this.form.elements.avatar.value = CREW_AVATARS[this.members.length % CREW_AVATARS.length];
+        }
+
+        openDialog(this.modal, { title: this.title.textContent, focus: this.form.elements.name });
+    }
+
+    closeForm() {
+        if (!this.modal?.open) return;
+
+        this.editingId = null;
+        closeDialog(this.modal);
+    }
+
+    showError(message) {
+        if (this.error) this.error.textContent = message;
+    }
+
+    handleSubmit(e) {
+        e.preventDefault();
+
+        const formData = new FormData(this.form);
+        const data = {
+            name: formData.get('name').trim(),
+            email: formData.get('email').trim(),
+            role: formData.get('role'),
+            avatar: formData.get('avatar'),
+            cleanupsCompleted: formData.get('cleanupsCompleted')
+        };
+
+        if (isEmailTaken(this.members, data.email, this.editingId)) {
+            const message = t('crew.emailTaken');
+            this.form.elements.email.setCustomValidity(message);
+            this.form.elements.email.reportValidity();
+            this.showError(message);
+            announceToScreenReader(message, 'assertive');
+            return;
+        }
+
+        if (this.editingId) {
+            this.updateMember(this.editingId, data);
+        } else {
+            this.addMember(data);
+        }
+        this.closeForm();
+    }
+
+    addMember(data) {
+        const member = this.actions.addMember(data);
+
+        sendCrewAction('crew:add', member);
+        announceToScreenReader(t('crew.added', { name: member.name }));
+        return member;
+    }
+
+    updateMember(id, data) {
+        const member = this.actions.updateMember(id, data);
+        if (!member) return null;
+
+        sendCrewAction('crew:update', member);
+        announceToScreenReader(t('crew.updated', { name: member.name }));
+        return member;
+    }
+
+    removeMember(id) {
+        const member = this.getMember(id);
+        if (!member || id === this.getCurrentUserId()) return;
+        if (!window.confirm(t('crew.confirmRemove', { name: member.name }))) return;
+
+        // Free their places first so whoever is next on each waitlist moves up
+        const { rsvps } = this.cleanupManager;
+        const promoted = this.store.getState().cleanups
+            .filter(cleanup => rsvps.getState(cleanup, id).status !== 'none')
+            .flatMap(cleanup => rsvps.cancel(cleanup, id));
+
+        this.actions.removeMember(id);
+        sendCrewAction('crew:remove', { id, promoted });
+        announceToScreenReader(t('crew.removed', { name: member.name }));
+        if (promoted.length) {
+            const { profile } = this.store.getState();
+            const names = [...new Set(promoted)].map(key => key === SELF_RSVP ? profile?.name || t('rsvp.you') : this.getMember(key)?.name || key);
+            announceToScreenReader(t('rsvps.promoted', { names: I18n.formatList(names) }));
+        }
+    }
+}
+
+// ============================================
+// LITTER TALLIES & IMPACT
+// ============================================
+
+/**
+ * Post-cleanup litter tallies, one per event: { [cleanupId]: record }
+ */
+class ImpactManager {
+    constructor({ store }) {
+        this.store = store;
+        this.modal = document.getElementById('tally-modal');
+        this.form = document.getElementById('tally-form');
+        this.title = document.getElementById('tally-modal-title');
+        this.error = document.getElementById('tally-form-error');
+        this.categories = document.getElementById('tally-categories');
+        this.weightValue = document.getElementById('impact-weight');
+        this.weightLabel = document.getElementById('impact-label');
+        this.closeBtn = this.modal?.querySelector('.modal-close');
+        this.records = Storage.get('impact_records', {});
+        this.editing = null;
+        this.init();
+    }
+
+    init() {
+        this.renderCategoryFields();
+        this.renderTotals();
+        this.store.subscribe(['language'], () => {
+            this.renderCategoryFields();
+            this.renderTotals();
+        });
+
+        if (this.modal) {
+            addListener(this.closeBtn, 'click', () => this.closeForm());
+            addListener(this.modal, 'click', (e) => {
+                if (e.target === this.modal) this.closeForm();
+            });
+            addListener(this.modal, 'cancel', (e) => {
+                e.preventDefault();
+                this.closeForm();
+            });
+            addListener(this.form, 'submit', (e) => this.handleSubmit(e));
+            addListener(this.form, 'input', () => this.showError(''));
+        }
+    }
+
+    getRecord(cleanupId) {
+        return this.records[cleanupId] || null;
+    }
+
+    getRecords() {
+        return Object.values(this.records);
+    }
+
+    countItems(record) {
+        return Object.values(record.items).reduce((sum, count) => sum + count, 0);
+    }
+
+    /**
+     * Totals across every recorded cleanup, for the Impact card
+     */
+    getTotals() {
+        return this.getRecords().reduce((totals, record) => ({
+            cleanups: totals.cleanups + 1,
+            weightKg: totals.weightKg + record.weightKg,
+            items: totals.items + this.countItems(record),
+            volunteers: totals.volunteers + record.volunteers
+        }), { cleanups: 0, weightKg: 0, items: 0, volunteers: 0 });
+    }
+
+    formatWeight(kg) {
+        return t('unit.kg', { value: Math.round(kg * 10) / 10 });
+    }
+
+    /**
+     * Category label; ids from newer backups without a message show as-is
+     */
+    getCategoryLabel(id) {
+        return I18n.has(`litter.${id}`) ? t(`litter.${id}`) : id;
+    }
+
+    renderTotals() {
+        const totals = this.getTotals();
+
+        if (this.weightValue) this.weightValue.textContent = this.formatWeight(totals.weightKg);
+        if (this.weightLabel) {
+            this.weightLabel.textContent = totals.cleanups
+                ? t('impact.summary', {
+                    items: t('count.items', { count: totals.items }),
+                    cleanups: t('count.cleanups', { count: totals.cleanups })
+                })
+                : t('impact.label');
+        }
+    }
+
+    /**
+     * Build the item count inputs, one fieldset per data card group
+     */
+    renderCategoryFields() {
+        if (!this.categories) return;
+
+        renderInto(this.categories, LITTER_GROUPS.map(group => html`
+            <fieldset class="tally-group">
+                <legend>${t(`litterGroup.${group}`)}</legend>
+                ${LITTER_CATEGORIES.filter(category => category.group === group).map(category => html`
+                    <label class="tally-item" for="tally-${category.id}">
+                        <span>${this.getCategoryLabel(category.id)}</span>
+                        <input type="number" id="tally-${category.id}" name="item-${category.id}" min="0" step="1" value="0" inputmode="numeric">
+                    </label>
+                `)}
+            </fieldset>
+        `));
+    }
+
+    /**
+     * Summary of a cleanup's tally for the detail view
+     */
+    renderSummary(cleanupId) {
+        const record = this.getRecord(cleanupId);
+        if (!record) return html`<p>${t('tally.none')}</p>`;
+
+        const topItems = Object.entries(record.items)
+            .sort(([, a], [, b]) => b - a)
+            .slice(0, 3)
+            .map(([id, count]) => t('tally.itemCount', { label: this.getCategoryLabel(id), count }));
+        const details = t('tally.details', {
+            weight: this.formatWeight(record.weightKg),
+            bags: t('count.bags', { count: record.bags }),
+            volunteers: t('count.volunteers', { count: record.volunteers })
+        });
+
+        return html`
+            <p><strong>${t('count.items', { count: this.countItems(record) })}</strong> · ${details}</p>
+            ${topItems.length > 0 && html`<p>${t('tally.mostFound', { items: I18n.formatList(topItems) })}</p>`}
+        `;
+    }
+
+    /**
+     * Open the tally sheet for a cleanup, filled in from any earlier tally
+     */
+    openForm(cleanup, { volunteers = 1 } = {}) {
+        if (!this.modal || !this.form || !cleanup) return;
+
+        const record = this.getRecord(cleanup.id);
+        this.editing = cleanup;
+
+        this.form.reset();
+        this.showError('');
+        this.title.textContent = t('tally.titleFor', { name: cleanup.name });
+        this.form.elements.volunteers.value = record?.volunteers ?? Math.max(1, volunteers);
+
+        if (record) {
+            this.form.elements.bags.value = record.bags;
+            this.form.elements.weightKg.value = record.weightKg;
+            Object.entries(record.items).forEach(([id, count]) => {
+                const input = this.form.elements[`item-${id}`];
+                if (input) input.value = count;
+            });
+        }
+
+        openDialog(this.modal, { title: this.title.textContent, focus: this.form.elements.volunteers });
+    }
+
+    closeForm() {
+        if (!this.modal?.open) return;
+
+        this.editing = null;
+        closeDialog(this.modal);
+    }
+
+    showError(message) {
+        if (this.error) this.error.textContent = message;
+    }
+
+    handleSubmit(e) {
+        e.preventDefault();
+        if (!this.editing) return;
+
+        const formData = new FormData(this.form);
+        const items = {};
+
+        // Only non-zero counts are kept, so records stay small
+        LITTER_CATEGORIES.forEach(category => {
+            const count = Math.floor(Number(formData.get(`item-${category.id}`)) || 0);
+            if (count > 0) items[category.id] = count;
+        });
+
+        const data = {
+            volunteers: Math.max(1, Math.floor(Number(formData.get('volunteers')) || 1)),
+            bags: Math.max(0, Math.floor(Number(formData.get('bags')) || 0)),
+            weightKg: Math.max(0, Math.round((Number(formData.get('weightKg')) || 0) * 10) / 10),
+            items
+        };
+
+        // Volunteers, counts and weight are range-checked by the inputs themselves
+        if (Object.keys(items).length === 0 && data.weightKg === 0) {
+            const message = t('tally.needItems');
+            this.showError(message);
+            announceToScreenReader(message, 'assertive');
+            return;
+        }
+
+        this.saveRecord(this.editing, data);
+        this.closeForm();
+    }
+
+    saveRecord(cleanup, data) {
+        const record = {
+            cleanupId: cleanup.id,
+            cleanupName: cleanup.name,
+            date: cleanup.date,
+            location: cleanup.location,
+            ...data,
+            recordedBy: this.store.getState().profile?.memberId || null,
+            recordedAt: new Date().toISOString()
+        };
+
+        this.records[cleanup.id] = record;
+        Storage.set('impact_records', this.records);
+        this.renderTotals();
+        this.updateSummary(cleanup.id);
+
+        sendCrewAction('impact:record', record);
+        announceToScreenReader(t('tally.saved', { name: cleanup.name }));
+        return record;
+    }
+
+    /**
+     * Refresh the tally summary and button in the detail view, if it's showing
+     */
+    updateSummary(cleanupId) {
+        const summary = document.getElementById(`tally-summary-${cleanupId}`);
+        const button = document.querySelector(`[data-tally-id="${cleanupId}"]`);
+
+        renderInto(summary, this.renderSummary(cleanupId));
+        if (button) button.textContent = t('tally.edit');
+    }
+}
+
+// ============================================
+// BACKUP & RESTORE
+// ============================================
+
+/**
+ * Read and validate a backup file's text, throwing an Error with a user-facing message
+ */
+function parseBackup(text) {
+    let backup;
+    try {
+        backup = JSON.parse(text);
+    } catch (err) {
+        throw new Error(t('backup.invalidJSON'));
+    }
+
+    if (!isPlainObject(backup) || backup.app !== 'shoresquad') {
+        throw new Error(t('backup.notBackup'));
+    }
+    if (!Number.isInteger(backup.version) || backup.version < 1) {
+        throw new Error(t('backup.noVersion'));
+    }
+    if (backup.version > BACKUP_VERSION) {
+        throw new Error(t('backup.newer', { version: backup.version }));
+    }
+    if (!isPlainObject(backup.data)) {
+        throw new Error(t('backup.noData'));
+    }
+    // Version 1 backups numbered cleanups per device
+    if (backup.version < 2) upgradeCleanupIds(backup.data);
+
+    const { user_profile: profile, crew_roster: roster, cleanups, cleanup_rsvps: rsvps, attendance, impact_records: impact } = backup.data;
+    const isText = (value) => typeof value === 'string';
+
+    if (profile != null && !(isPlainObject(profile) && isText(profile.name) && isText(profile.email))) {
+        throw new Error(t('backup.damagedProfile'));
+    }
+    if (roster != null && !(Array.isArray(roster) && roster.every(member =>
+        isPlainObject(member) && isText(member.id) && isText(member.name) && isText(member.email) &&
+        CREW_ROLES.includes(member.role) && CREW_AVATARS.includes(member.avatar) &&
+        (member.cleanupsCompleted == null || Number.isFinite(member.cleanupsCompleted))))) {
+        throw new Error(t('backup.damagedRoster'));
+    }
+    // Every field a cleanup card, the map and the calendar export read
+    const isEventDate = (date, time) => {
+        if (!isText(date) || !isText(time) || !/^\d{4}-\d{2}-\d{2}$/.test(date) || !/^\d{1,2}:\d{2}\s*(AM|PM)$/i.test(time.trim())) {
+            return false;
+        }
+        return toDateKey(parseEventDateTime(date, time)) === date;
+    };
+    if (cleanups != null && !(Array.isArray(cleanups) && cleanups.every(cleanup =>
+        isPlainObject(cleanup) && isText(cleanup.id) && isText(cleanup.name) &&
+        isText(cleanup.description) && isText(cleanup.location) && isEventDate(cleanup.date, cleanup.time) &&
+        Number.isFinite(cleanup.lat) && Number.isFinite(cleanup.lng) &&
+        CLEANUP_DIFFICULTIES.includes(cleanup.difficulty) && Number.isFinite(cleanup.crewCount) &&
+        (cleanup.capacity == null || Number.isFinite(cleanup.capacity)) &&
+        (cleanup.cancelled == null || (isPlainObject(cleanup.cancelled) && isText(cleanup.cancelled.reason))) &&
+        (cleanup.checkInCode == null || isText(cleanup.checkInCode))))) {
+        throw new Error(t('backup.damagedCleanups'));
+    }
+    if (rsvps != null && !(isPlainObject(rsvps) && Object.values(rsvps).every(record =>
+        isPlainObject(record) && Array.isArray(record.going) && Array.isArray(record.waitlist)))) {
+        throw new Error(t('backup.damagedRsvps'));
+    }
+    if (attendance != null && !(isPlainObject(attendance) && Object.values(attendance).every(attendees =>
+        Array.isArray(attendees) && attendees.every(isText)))) {
+        throw new Error(t('backup.damagedAttendance'));
+    }
+    if (impact != null && !(isPlainObject(impact) && Object.values(impact).every(record =>
+        isPlainObject(record) && isText(record.cleanupId) && isText(record.cleanupName) &&
+        isText(record.date) && isText(record.location) && isText(record.recordedAt) &&
+        Number.isFinite(record.weightKg) && Number.isFinite(record.volunteers) &&
+        (record.bags == null || Number.isFinite(record.bags)) &&
+        isPlainObject(record.items) && Object.values(record.items).every(Number.isFinite)))) {
+        throw new Error(t('backup.damagedTallies'));
+    }
+
+    return backup;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Combine a backup with this device's data. This device wins for the profile, existing
+ * crew members and cleanups; RSVPs and attendance are combined, and the most recently
+ * recorded tally wins per cleanup.
+ */
+function mergeBackupData(current, incoming) {
+    let conflicts = 0;
+    const union = (a = [], b = []) => [...new Set([...a, ...b])];
+
+    if (current.user_profile && incoming.user_profile &&
+        current.user_profile.email !== incoming.user_profile.email) {
+        conflicts++;
+    }
+
+    // Incoming member ids matched to a local member by email, so their RSVPs and
+    // attendance follow them to the local id
+    const memberIds = new Map();
+    const roster = [...(current.crew_roster || [])];
+    (incoming.crew_roster || []).forEach(member => {
+        const email = member.email.toLowerCase();
+        const match = roster.find(local => local.id === member.id || local.email.toLowerCase() === email);
+        if (!match) roster.push(member);
+        else if (JSON.stringify({ ...match, id: member.id }) !== JSON.stringify(member)) conflicts++;
+        if (match && match.id !== member.id) memberIds.set(member.id, match.id);
+    });
+
+    // The backup's own user is someone else here when the profiles differ
+    const incomingSelf = incoming.user_profile?.memberId;
+    if (current.user_profile && incoming.user_profile && incomingSelf &&
+        current.user_profile.email.toLowerCase() !== incoming.user_profile.email.toLowerCase()) {
+        memberIds.set(SELF_RSVP, memberIds.get(incomingSelf) || incomingSelf);
+    }
+    const remap = (keys = []) => keys.map(key => memberIds.get(key) || key);
+
+    const cleanups = [...(current.cleanups || CLEANUP_DATA)];
+    (incoming.cleanups || []).forEach(cleanup => {
+        const match = cleanups.find(local => local.id === cleanup.id);
+        if (!match) cleanups.push(cleanup);
+        else if (JSON.stringify(match) !== JSON.stringify(cleanup)) conflicts++;
+    });
+
+    const rsvps = { ...(current.cleanup_rsvps || {}) };
+    Object.entries(incoming.cleanup_rsvps || {}).forEach(([id, record]) => {
+        const local = rsvps[id] || { going: [], waitlist: [] };
+        const going = union(local.going, remap(record.going));
+        rsvps[id] = { going, waitlist: union(local.waitlist, remap(record.waitlist)).filter(key => !going.includes(key)) };
+    });
+
+    const attendance = { ...(current.attendance || {}) };
+    Object.entries(incoming.attendance || {}).forEach(([id, attendees]) => {
+        attendance[id] = union(attendance[id], remap(attendees));
+    });
+
+    const impact = { ...(current.impact_records || {}) };
+    Object.entries(incoming.impact_records || {}).forEach(([id, record]) => {
+        const local = impact[id];
+        if (!local || String(record.recordedAt) > String(local.recordedAt)) {
+            if (local) conflicts++;
+            impact[id] = record;
+        } else if (JSON.stringify(local) !== JSON.stringify(record)) {
+            conflicts++;
+        }
+    });
+
+    const incomingProfile = incomingSelf && memberIds.has(incomingSelf)
+        ? { ...incoming.user_profile, memberId: memberIds.get(incomingSelf) }
+        : incoming.user_profile || null;
+
+    return {
+        data: {
+            user_profile: current.user_profile || incomingProfile,
+            crew_roster: roster,
+            cleanups,
+            cleanup_rsvps: rsvps,
+            attendance,
+            impact_records: impact
+        },
+        conflicts
+    };
+}
+
+class DataManager {
+    constructor({ impactManager }) {
+        this.impactManager = impactManager;
+        this.modal = document.getElementById('data-modal');
+        this.openBtn = document.getElementById('manage-data-btn');
+        this.exportBtn = document.getElementById('backup-export-btn');
+        this.csvBtn = document.getElementById('impact-csv-btn');
+        this.form = document.getElementById('restore-form');
+        this.preview = document.getElementById('restore-preview');
+        this.summary = document.getElementById('restore-summary');
+        this.error = document.getElementById('data-error');
+        this.status = document.getElementById('data-status');
+        this.closeBtn = this.modal?.querySelector('.modal-close');
+        this.pending = null;
+        this.init();
+    }
+
+    init() {
+        if (!this.modal) return;
+
+        addListener(this.openBtn, 'click', () => this.openPanel());
+        addListener(this.closeBtn, 'click', () => this.closePanel());
+        addListener(this.modal, 'click', (e) => {
+            if (e.target === this.modal) this.closePanel();
+        });
+        addListener(this.modal, 'cancel', (e) => {
+            e.preventDefault();
+            this.closePanel();
+        });
+        addListener(this.exportBtn, 'click', () => this.exportBackup());
+        addListener(this.csvBtn, 'click', () => this.exportImpactCSV());
+        addListener(this.form?.elements.file, 'change', (e) => this.handleFile(e.target.files[0]));
+        addListener(this.form, 'submit', (e) => {
+            e.preventDefault();
+            this.restore(this.form.elements.mode.value);
+        });
+    }
+
+    openPanel() {
+        this.form.reset();
+        this.pending = null;
+        this.preview.hidden = true;
+        this.showMessage('');
+
+        openDialog(this.modal, { title: t('data.title') });
+    }
+
+    closePanel() {
+        closeDialog(this.modal);
+    }
+
+    /**
+     * Show a status message, or an error when isError is set
+     */
+    showMessage(message, isError = false) {
+        if (this.error) this.error.textContent = isError ? message : '';
+        if (this.status) this.status.textContent = isError ? '' : message;
+        if (message) announceToScreenReader(message, isError ? 'assertive' : 'polite');
+    }
+
+    readData() {
+        return Object.fromEntries(BACKUP_KEYS.map(key => [key, Storage.get(key)]));
+    }
+
+    /**
+     * Short description of what a set of data holds, e.g. "1 profile, 3 crew members"
+     */
+    describeData(data) {
+        const parts = [];
+
+        if (data.user_profile) parts.push(t('data.profileFor', { name: data.user_profile.name }));
+        if (data.crew_roster?.length) parts.push(t('count.crewMembers', { count: data.crew_roster.length }));
+        if (data.cleanups?.length) parts.push(t('count.scheduled', { count: data.cleanups.length }));
+        if (data.cleanup_rsvps) {
+            const events = Object.values(data.cleanup_rsvps).filter(record => record.going.length || record.waitlist.length);
+            if (events.length) parts.push(t('data.rsvpsFor', { cleanups: t('count.cleanups', { count: events.length }) }));
+        }
+        if (data.attendance) {
+            const events = Object.values(data.attendance).filter(attendees => attendees.length);
+            if (events.length) parts.push(t('data.attendanceFor', { cleanups: t('count.cleanups', { count: events.length }) }));
+        }
+        if (data.impact_records) {
+            const tallies = Object.keys(data.impact_records).length;
+            if (tallies) parts.push(t('count.tallies', { count: tallies }));
+        }
+
+        return parts.length ? I18n.formatList(parts) : t('data.nothing');
+    }
+
+    exportBackup() {
+        const backup = {
+            app: 'shoresquad',
+            version: BACKUP_VERSION,
+            exportedAt: new Date().toISOString(),
+            data: this.readData()
+        };
+
+        downloadFile(`shoresquad-backup-${toDateKey(new Date())}.json`, JSON.stringify(backup, null, 2), 'application/json');
+        this.showMessage(t('data.downloaded', { contents: this.describeData(backup.data) }));
+    }
+
+    /**
+     * One row per tally, with a column for every ICC category so partners get a fixed layout
+     */
+    exportImpactCSV() {
+        const records = this.impactManager.getRecords()
+            .sort((a, b) => a.date.localeCompare(b.date) || a.cleanupId.localeCompare(b.cleanupId));
+
+        if (records.length === 0) {
+            this.showMessage(t('data.noTallies'), true);
+            return;
+        }
+
+        const header = [
+            'cleanup_id', 'cleanup_name', 'date', 'location', 'volunteers', 'bags', 'weight_kg', 'total_items',
+            ...LITTER_CATEGORIES.map(category => category.id)
+        ];
+        const rows = records.map(record => [
+            record.cleanupId,
+            record.cleanupName,
+            record.date,
+            record.location,
+            record.volunteers,
+            record.bags,
+            record.weightKg,
+            this.impactManager.countItems(record),
+            ...LITTER_CATEGORIES.map(category => record.items[category.id] || 0)
+        ]);
+
+        downloadFile(`shoresquad-impact-${toDateKey(new Date())}.csv`, toCSV([header, ...rows]), 'text/csv;charset=utf-8');
+        this.showMessage(t('data.exported', { tallies: t('count.tallies', { count: records.length }) }));
+    }
+
+    async handleFile(file) {
+        this.pending = null;
+        this.preview.hidden = true;
+        if (!file) return;
+
+        try {
+            this.pending = parseBackup(await file.text());
+        } catch (err) {
+            this.showMessage(err.message, true);
+            return;
+        }
+
+        const exportedAt = new Date(this.pending.exportedAt);
+        const contents = {
+            backup: this.describeData(this.pending.data),
+            device: this.describeData(this.readData())
+        };
+        this.summary.textContent = this.pending.exportedAt && !isNaN(exportedAt)
+            ? t('data.previewDated', { ...contents, date: I18n.formatDate(exportedAt, { dateStyle: 'medium' }) })
+            : t('data.preview', contents);
+        this.preview.hidden = false;
+        this.showMessage('');
+    }
+
+    async restore(mode = 'merge') {
+        if (!this.pending) return;
+
+        const incoming = Object.fromEntries(BACKUP_KEYS.map(key => [key, this.pending.data[key] ?? null]));
+        const { data, conflicts } = mode === 'replace'
+            ? { data: incoming, conflicts: 0 }
+            : mergeBackupData(this.readData(), incoming);
+
+        BACKUP_KEYS.forEach(key => {
+            data[key] == null ? Storage.remove(key) : Storage.set(key, data[key]);
+        });
+        try {
+            await Storage.flush();
+        } catch (err) {
+            this.showMessage(t('data.saveFailed'), true);
+            return;
+        }
+
+        sendCrewAction('data:restore', { mode, conflicts });
+        this.showMessage(conflicts ? t('data.restoredConflicts', { count: conflicts }) : t('data.restored'));
+
+        // Managers hold their own copies of this data, so start fresh
+        setTimeout(() => window.location.reload(), 1500);
+    }
+}
+
+// ============================================
+// CLEANUP EVENTS
+// ============================================
+
+/**
+ * Per-event RSVPs, kept in sign-up order: { [cleanupId]: { going: [key], waitlist: [key] } }
+ */
+class RsvpManager {
+    constructor({ store, actions }) {
+        this.store = store;
+        this.actions = actions;
+    }
+
+    getRecord(id) {
+        return this.store.getState().rsvps[id] || { going: [], waitlist: [] };
+    }
+
+    /**
+     * Everyone going, including crew who signed up elsewhere
+     */
+    getGoingCount(cleanup, record = this.getRecord(cleanup.id)) {
+        return cleanup.crewCount + record.going.length;
+    }
+
+    getSpotsLeft(cleanup, record = this.getRecord(cleanup.id)) {
+        if (!cleanup.capacity) return Infinity;
+        return Math.max(cleanup.capacity - this.getGoingCount(cleanup, record), 0);
+    }
+
+    isFull(cleanup) {
+        return this.getSpotsLeft(cleanup) === 0;
+    }
+
+    /**
+     * RSVP state for one person: { status: 'going' | 'waitlisted' | 'none', position }
+     */
+    getState(cleanup, key = SELF_RSVP) {
+        const record = this.getRecord(cleanup.id);
+        const index = record.waitlist.indexOf(key);
+
+        if (record.going.includes(key)) return { status: 'going', position: null };
+        if (index !== -1) return { status: 'waitlisted', position: index + 1 };
+        return { status: 'none', position: null };
+    }
+
+    /**
+     * Sign someone up, putting them on the waitlist when the event is full
+     */
+    add(cleanup, key = SELF_RSVP) {
+        const current = this.getState(cleanup, key);
+        if (current.status !== 'none') return current;
+
+        const record = this.getRecord(cleanup.id);
+        // Nobody skips ahead of people who are already waiting
+        const waitlisted = this.isFull(cleanup) || record.waitlist.length > 0;
+
+        this.saveRecord(cleanup.id, waitlisted
+            ? { ...record, waitlist: [...record.waitlist, key] }
+            : { ...record, going: [...record.going, key] });
+        return this.getState(cleanup, key);
+    }
+
+    /**
+     * Cancel an RSVP or waitlist place, returning anyone promoted into the freed spot
+     */
+    cancel(cleanup, key = SELF_RSVP) {
+        const record = this.getRecord(cleanup.id);
+        const { record: next, promoted } = this.withPromotions(cleanup, {
+            going: record.going.filter(rsvp => rsvp !== key),
+            waitlist: record.waitlist.filter(rsvp => rsvp !== key)
+        });
+
+        this.saveRecord(cleanup.id, next);
+        return promoted;
+    }
+
+    /**
+     * Fill any free spots from the waitlist, e.g. after capacity goes up
+     */
+    promote(cleanup) {
+        const { record, promoted } = this.withPromotions(cleanup, this.getRecord(cleanup.id));
+        if (promoted.length) this.saveRecord(cleanup.id, record);
+        return promoted;
+    }
+
+    /**
+     * Move people off the waitlist, first come first served, while there are free spots
+     */
+    withPromotions(cleanup, record) {
+        const promoted = record.waitlist.slice(0, this.getSpotsLeft(cleanup, record));
+
+        return {
+            record: {
+                going: [...record.going, ...promoted],
+                waitlist: record.waitlist.slice(promoted.length)
+            },
+            promoted
+        };
+    }
+
+    saveRecord(id, record) {
+        this.actions.setRsvps({ ...this.store.getState().rsvps, [id]: record });
+    }
+}
+
+class CleanupManager {
+    constructor({ store, actions, impactManager = null }) {
+        this.store = store;
+        this.actions = actions;
+        this.impactManager = impactManager;
+        this.grid = document.getElementById('cleanups-grid');
+        this.detailView = document.getElementById('cleanup-detail');
+        this.exportBtn = document.getElementById('export-rsvps-btn');
+        this.rsvps = new RsvpManager({ store, actions });
+        this.init();
+    }
+
+    init() {
+        if (!this.grid) return;
+
+        this.render();
+
+        // Re-render the list when what's shown changes; RSVPs only touch their own cards
+        this.store.subscribe(['cleanups', 'filters', 'origin', 'suitability', 'tides', 'roster', 'profile', 'attendance', 'language'], (state, prevState, changed) => {
+            this.render();
+            if (changed.includes('filters')) {
+                announceToScreenReader(t('filter.applied', { count: this.getVisibleCleanups().length }));
+            }
+        });
+        this.store.subscribe(['rsvps'], (state, prevState) => {
+            const ids = new Set([...Object.keys(state.rsvps), ...Object.keys(prevState.rsvps)]);
+            ids.forEach(id => {
+                if (state.rsvps[id] !== prevState.rsvps[id]) this.updateCard(id);
+            });
+        });
+        this.store.subscribe(['reminders'], () => {
+            this.cleanups.forEach(cleanup => this.updateMuteButtons(cleanup));
+        });
+        this.updateExportButton();
+        this.store.subscribe(['cleanups', 'rsvps', 'language'], () => this.updateExportButton());
+
+        // Delegate clicks so re-rendered cards and the detail view keep working
+        addListener(this.grid, 'click', (e) => this.handleClick(e));
+        addListener(this.detailView, 'click', (e) => this.handleClick(e));
+        addListener(this.exportBtn, 'click', () => this.exportMyRsvps());
+    }
+
+    handleClick(e) {
+        const tally = e.target.closest('[data-tally-id]');
+        const calendar = e.target.closest('[data-calendar-id]');
+        const mute = e.target.closest('[data-mute-id]');
+        const join = e.target.closest('[data-cleanup-id]');
+
+        if (tally) this.openTally(tally.dataset.tallyId);
+        else if (calendar) this.exportCalendar(calendar.dataset.calendarId);
+        else if (mute) this.toggleMute(mute.dataset.muteId);
+        else if (join) this.toggleJoin(join.dataset.cleanupId);
+    }
+
+    get cleanups() {
+        return this.store.getState().cleanups;
+    }
+
+    get filters() {
+        return this.store.getState().filters;
+    }
+
+    /**
+     * Where distances are measured from: { lat, lng, source, beach } or null
+     */
+    get origin() {
+        return this.store.getState().origin;
+    }
+
+    get suitability() {
+        return this.store.getState().suitability;
+    }
+
+    getCleanup(id) {
+        return this.cleanups.find(cleanup => cleanup.id === id);
+    }
+
+    /**
+     * The current user's RSVP for an event: 'going', 'waitlisted', 'full', 'open' or 'cancelled'
+     */
+    getRsvpState(cleanup) {
+        if (cleanup.cancelled) return { status: 'cancelled', position: null };
+
+        const state = this.rsvps.getState(cleanup);
+        if (state.status !== 'none') return state;
+        return { status: this.rsvps.isFull(cleanup) ? 'full' : 'open', position: null };
+    }
+
+    formatRsvpState(state) {
+        if (state.status === 'going') return t('rsvp.going');
+        if (state.status === 'waitlisted') return t('rsvp.waitlisted', { position: state.position });
+        if (state.status === 'full') return t('rsvp.full');
+        return '';
+    }
+
+    /**
+     * Work out event status from its start time: 'upcoming', 'active' or 'past',
+     * or 'cancelled' once an organiser has called it off
+     */
+    getStatus(cleanup, now = Date.now()) {
+        if (cleanup.cancelled) return 'cancelled';
+
+        const start = parseEventDateTime(cleanup.date, cleanup.time).getTime();
+
+        if (now < start) return 'upcoming';
+        if (now < start + CONFIG.CLEANUP_DURATION) return 'active';
+        return 'past';
+    }
+
+    /**
+     * Distance in km from the user's origin, or null when it isn't known
+     */
+    getDistance(cleanup) {
+        if (!this.origin) return null;
+        return Math.round(distanceKm(this.origin, cleanup) * 10) / 10;
+    }
+
+    matchesFilters(cleanup, filters = this.filters) {
+        if (filters.status !== 'all' && this.getStatus(cleanup) !== filters.status) return false;
+        if (filters.difficulty !== 'all' && cleanup.difficulty !== filters.difficulty) return false;
+        if (filters.maxDistance !== null) {
+            // Unknown distances can't be shown as "within" anything
+            const distance = this.getDistance(cleanup);
+            if (distance === null || distance > filters.maxDistance) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Comparators for the sort options; ties fall back to soonest first
+     */
+    compareCleanups(a, b, sort = this.filters.sort) {
+        const bySoonest = parseEventDateTime(a.date, a.time) - parseEventDateTime(b.date, b.time);
+
+        if (sort === 'nearest') {
+            const distanceA = this.getDistance(a) ?? Infinity;
+            const distanceB = this.getDistance(b) ?? Infinity;
+            if (distanceA !== distanceB) return distanceA - distanceB;
+        } else if (sort === 'crew') {
+            const crewDiff = this.getCrewCount(b) - this.getCrewCount(a);
+            if (crewDiff !== 0) return crewDiff;
+        }
+
+        return bySoonest;
+    }
+
+    /**
+     * Cleanups matching the active filters, in the chosen sort order
+     */
+    getVisibleCleanups() {
+        return this.cleanups
+            .filter(cleanup => this.matchesFilters(cleanup))
+            .sort((a, b) => this.compareCleanups(a, b));
+    }
+
+    formatDistance(cleanup) {
+        const distance = this.getDistance(cleanup);
+        if (distance === null) return '';
+        return distance < 0.1 ? t('cleanups.distanceNear') : t('cleanups.distance', { km: distance });
+    }
+
+    renderSuitability(cleanup) {
+        const suitability = this.suitability[cleanup.id];
+        if (!suitability) return '';
+
+        const details = suitability.risks.length ? ` — ${I18n.formatList(suitability.risks)}` : '';
+        const station = suitability.station
+            ? t('suitability.station', { station: suitability.station })
+            : t('suitability.noStation');
+
+        return html`
+            <p class="suitability suitability-${suitability.level}" title="${station}">
+                ${t('suitability.conditions', { score: suitability.score, label: suitability.label })}${details}
+            </p>
+        `;
+    }
+
+    /**
+     * Warn when the start falls within an hour of high tide at the nearest station, and
+     * say so when the tide tables don't reach a cleanup that's still to come
+     */
+    renderTideWarning(cleanup) {
+        const { tides } = this.store.getState();
+        if (!tides) return '';
+
+        if (!hasTidesFor(tides, cleanup.date)) {
+            const ahead = !cleanup.cancelled && this.getStatus(cleanup) !== 'past';
+            return ahead ? html`<p class="tide-note">${t('tides.notCovered')}</p>` : '';
+        }
+
+        const station = findNearestTideStation(tides.stations, cleanup);
+        const highTide = station && findHighTideNear(station, parseEventDateTime(cleanup.date, cleanup.time));
+        if (!highTide) return '';
+
+        return html`
+            <p class="tide-warning" title="${t('tides.station', { station: station.name })}">
+                ${t('tides.highWarning', formatTideParams(highTide))}
+                <span class="tide-source">${formatTideSource(tides)}</span>
+            </p>
+        `;
+    }
+
+    /**
+     * Crew going, including the current user if they've RSVP'd
+     */
+    getCrewCount(cleanup) {
+        return this.rsvps.getGoingCount(cleanup);
+    }
+
+    formatCapacity(cleanup) {
+        return cleanup.capacity ? ` / ${I18n.formatNumber(cleanup.capacity)}` : '';
+    }
+
+    /**
+     * Button text for the current user's RSVP state
+     */
+    getRsvpAction(state) {
+        if (state.status === 'going') return t('rsvp.leave');
+        if (state.status === 'waitlisted') return t('rsvp.leaveWaitlist');
+        if (state.status === 'full') return t('rsvp.joinWaitlist');
+        return t('rsvp.join');
+    }
+
+    /**
+     * Crew count, RSVP state and join button shared by cards and the detail view
+     */
+    renderRsvpFooter(cleanup, countAttribute) {
+        const state = this.getRsvpState(cleanup);
+        const signedUp = state.status === 'going' || state.status === 'waitlisted';
+        const action = this.getRsvpAction(state);
+        const label = this.formatRsvpState(state);
+
+        return html`
+            <div class="cleanup-footer">
+                <div class="crew-count">👥 <span ${countAttribute}>${I18n.formatNumber(this.getCrewCount(cleanup))}</span>${this.formatCapacity(cleanup)} ${t('cleanups.crewMembers')}</div>
+                <span class="rsvp-status rsvp-${state.status}" data-rsvp-status="${cleanup.id}"${label ? '' : ' hidden'}>${label}</span>
+                ${!cleanup.cancelled && html`<button class="btn-secondary${signedUp ? ' joined' : ''}" data-cleanup-id="${cleanup.id}" aria-pressed="${signedUp}" aria-label="${t('rsvp.actionLabel', { action, name: cleanup.name })}">${action}</button>`}
+            </div>
+        `;
+    }
+
+    /**
+     * Format event date and time for the current language, e.g. "Saturday, 14 December • 9:00 AM"
+     */
+    formatEventDate(cleanup) {
+        const start = parseEventDateTime(cleanup.date, cleanup.time);
+        const day = I18n.formatDate(start, { weekday: 'long', month: 'long', day: 'numeric' });
+        const time = I18n.formatDate(start, { hour: 'numeric', minute: '2-digit' });
+        return `${day} • ${time.toUpperCase()}`;
+    }
+
+    /**
+     * Render all cleanup cards
+     */
+    render() {
+        if (!this.grid) return;
+
+        const visible = this.getVisibleCleanups();
+
+        if (visible.length === 0) {
+            renderInto(this.grid, html`
+                <p class="cleanups-empty">${t('cleanups.empty')}</p>
+            `);
+            return;
+        }
+
+        renderList(this.grid, visible, {
+            key: cleanup => cleanup.id,
+            render: cleanup => this.renderCard(cleanup)
+        });
+    }
+
+    renderCard(cleanup) {
+        return html`
+            <article class="cleanup-card${cleanup.cancelled ? ' cleanup-cancelled' : ''}" id="cleanup-${cleanup.id}" aria-label="${cleanup.name}">
+                <div class="cleanup-header">
+                    <h3><a href="#/cleanups/${cleanup.id}">${cleanup.name}</a></h3>
+                    <span class="cleanup-badge badge-${cleanup.difficulty}">${t(`badge.${cleanup.difficulty}`)}</span>
+                </div>
+                <p class="cleanup-date">📅 ${this.formatEventDate(cleanup)} ${this.renderCalendarButton(cleanup)}${this.renderMuteButton(cleanup)}</p>
+                <p class="cleanup-location">📍 ${cleanup.location}${this.formatDistance(cleanup)}</p>
+                ${this.renderCancelNotice(cleanup)}
+                <p class="cleanup-desc">${cleanup.description}</p>
+                ${this.renderSuitability(cleanup)}
+                ${this.renderTideWarning(cleanup)}
+                ${this.renderCheckedIn(cleanup)}
+                ${this.renderRsvpFooter(cleanup, html`id="crew-count-${cleanup.id}"`)}
+                ${this.renderOrganiserActions(cleanup)}
+            </article>
+        `;
+    }
+
+    /**
+     * Who has RSVP'd, with the current user first and the waitlist last
+     */
+    getRsvpList(cleanup) {
+        const state = this.rsvps.getState(cleanup);
+        const going = state.status === 'going';
+        const others = this.getCrewCount(cleanup) - (going ? 1 : 0);
+        const waiting = this.rsvps.getRecord(cleanup.id).waitlist.length;
+        const { profile } = this.store.getState();
+        const you = profile?.name ? t('rsvp.youNamed', { name: profile.name }) : t('rsvp.you');
+        const rsvps = [];
+
+        if (going) rsvps.push(you);
+        if (others > 0) {
+            rsvps.push(t(going ? 'rsvp.others' : 'count.crewMembers', { count: others }));
+        }
+        if (state.status === 'waitlisted') {
+            rsvps.push(t('rsvp.youWaitlisted', { you, position: state.position, total: waiting }));
+        } else if (waiting > 0) {
+            rsvps.push(t('rsvp.onWaitlist', { count: waiting }));
+        }
+
+        return rsvps;
+    }
+
+    renderRsvpItems(rsvps) {
+        return rsvps.map(rsvp => html`<li>👤 ${rsvp}</li>`);
+    }
+
+    /**
+     * Render the detail view for a single cleanup, with an optional notice (such as
+     * the outcome of a check-in) at the top
+     */
+    renderDetail(cleanup, forecast, notice = '') {
+        if (!cleanup) {
+            return html`
+                <a href="#/cleanups" class="detail-back">${t('detail.back')}</a>
+                <h2 id="cleanup-detail-title" tabindex="-1">${t('detail.notFound')}</h2>
+                <p>${t('detail.notFoundBody')}</p>
+            `;
+        }
+
+        const rsvps = this.getRsvpList(cleanup);
+        const forecastText = forecast && formatForecastText(forecast);
+        const weather = forecast
+            ? html`${forecast.emoji} <strong>${formatCondition(forecast.condition)}</strong>${forecastText && ` (${forecastText})`}`
+            : t('detail.noForecast');
+
+        return html`
+            <a href="#/cleanups" class="detail-back">${t('detail.back')}</a>
+            <article class="cleanup-detail" aria-labelledby="cleanup-detail-title">
+                ${notice}
+                <div class="cleanup-header">
+                    <h2 id="cleanup-detail-title" tabindex="-1">${cleanup.name}</h2>
+                    <span class="cleanup-badge badge-${cleanup.difficulty}">${t(`badge.${cleanup.difficulty}`)}</span>
+                </div>
+                <p class="cleanup-date">📅 ${this.formatEventDate(cleanup)} ${this.renderCalendarButton(cleanup)}${this.renderMuteButton(cleanup)}</p>
+                <p class="cleanup-status"><strong>${t('detail.status')}</strong> ${t(`status.${this.getStatus(cleanup)}`)}</p>
+                ${this.renderCancelNotice(cleanup)}
+                <p class="cleanup-desc">${cleanup.description}</p>
+
+                <h3>${t('detail.weather')}</h3>
+                <p class="cleanup-weather">${weather}</p>
+                ${this.renderSuitability(cleanup)}
+                ${this.renderTideWarning(cleanup)}
+
+                <h3>${t('detail.location')}</h3>
+                <p class="cleanup-location">📍 ${t('detail.place', { location: cleanup.location })}${this.formatDistance(cleanup)}</p>
+                <p><a href="#/map">${t('detail.viewMap')}</a></p>
+
+                <h3>${t('detail.tally')}</h3>
+                ${this.renderTally(cleanup)}
+
+                <h3>${t('detail.going')}</h3>
+                <ul class="rsvp-list" id="rsvp-list-${cleanup.id}">
+                    ${this.renderRsvpItems(rsvps)}
+                </ul>
+
+                ${this.renderCheckedIn(cleanup)}
+                ${this.renderRsvpFooter(cleanup, html`data-crew-count="${cleanup.id}"`)}
+                ${this.renderOrganiserActions(cleanup)}
+            </article>
+        `;
+    }
+
+    renderCancelNotice(cleanup) {
+        if (!cleanup.cancelled) return '';
+
+        return html`
+            <p class="cancel-notice" role="note">
+                <strong>${t('events.cancelledNotice')}</strong> ${cleanup.cancelled.reason}
+            </p>
+        `;
+    }
+
+    /**
+     * Shown once the current user has been checked in, by scanning or by an organiser
+     */
+    renderCheckedIn(cleanup) {
+        const { attendance, profile } = this.store.getState();
+        if (!hasAttended(attendance, cleanup.id, getSelfKeys(profile))) return '';
+
+        return html`<p class="checked-in">${t('checkin.checkedIn')}</p>`;
+    }
+
+    /**
+     * Organisers can sign crew up, edit and cancel until the event starts, and take
+     * attendance from when check-in opens; nothing once it's called off
+     */
+    renderOrganiserActions(cleanup) {
+        const status = this.getStatus(cleanup);
+        if (!isOrganiser(this.store.getState()) || status === 'cancelled') return '';
+
+        const start = parseEventDateTime(cleanup.date, cleanup.time).getTime();
+        const checkInOpen = Date.now() >= start - CONFIG.CHECK_IN.OPENS_BEFORE;
+        if (status !== 'upcoming' && !checkInOpen) return '';
+
+        return html`
+            <div class="organiser-actions">
+                ${checkInOpen && html`<button class="calendar-link" data-checkin-event="${cleanup.id}" aria-label="${t('checkin.openLabel', { name: cleanup.name })}">${t('checkin.open')}</button>`}
+                ${status === 'upcoming' && html`
+                    <button class="calendar-link" data-rsvps-event="${cleanup.id}" aria-label="${t('rsvps.manageLabel', { name: cleanup.name })}">${t('rsvps.manage')}</button>
+                    <button class="calendar-link" data-edit-event="${cleanup.id}" aria-label="${t('events.editLabel', { name: cleanup.name })}">${t('events.edit')}</button>
+                    <button class="calendar-link" data-cancel-event="${cleanup.id}" aria-label="${t('events.cancelLabel', { name: cleanup.name })}">${t('events.cancel')}</button>
+                `}
+            </div>
+        `;
+    }
+
+    renderCalendarButton(cleanup) {
+        return html`<button class="calendar-link" data-calendar-id="${cleanup.id}" aria-label="${t('calendar.addLabel', { name: cleanup.name })}">${t('calendar.add')}</button>`;
+    }
+
+    /**
+     * Reminder mute toggle, shown once you've RSVP'd and turned notifications on
+     */
+    getMuteState(cleanup) {
+        const { reminders } = this.store.getState();
+        const muted = reminders.muted.includes(cleanup.id);
+
+        return {
+            hidden: !reminders.enabled || Boolean(cleanup.cancelled) || this.rsvps.getState(cleanup).status === 'none',
+            muted,
+            text: t(muted ? 'reminders.muted' : 'reminders.on')
+        };
+    }
+
+    renderMuteButton(cleanup) {
+        const state = this.getMuteState(cleanup);
+        return html`<button class="calendar-link" data-mute-id="${cleanup.id}" aria-pressed="${state.muted}" aria-label="${t('reminders.muteLabel', { name: cleanup.name })}"${state.hidden ? ' hidden' : ''}>${state.text}</button>`;
+    }
+
+    updateMuteButtons(cleanup) {
+        const state = this.getMuteState(cleanup);
+
+        document.querySelectorAll(`[data-mute-id="${cleanup.id}"]`).forEach(button => {
+            button.textContent = state.text;
+            button.setAttribute('aria-pressed', String(state.muted));
+            button.hidden = state.hidden;
+        });
+    }
+
+    toggleMute(id) {
+        const cleanup = this.getCleanup(id);
+        if (!cleanup) return;
+
+        const muted = this.actions.toggleReminderMute(id);
+        announceToScreenReader(t(muted ? 'reminders.mutedFor' : 'reminders.unmutedFor', { name: cleanup.name }));
+    }
+
+    getCleanupUrl(cleanup) {
+        return `${window.location.origin}${window.location.pathname}#/cleanups/${cleanup.id}`;
+    }
+
+    /**
+     * Download a single cleanup as an .ics file
+     */
+    exportCalendar(id) {
+        const cleanup = this.getCleanup(id);
+        if (!cleanup) return;
+
+        const event = buildICSEvent(cleanup, {
+            status: this.rsvps.getState(cleanup).status,
+            url: this.getCleanupUrl(cleanup)
+        });
+        // Names in other scripts have no Latin letters to slug, so fall back to the date
+        const slug = cleanup.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        const filename = slug || `shoresquad-cleanup-${cleanup.date}`;
+
+        downloadFile(`${filename}.ics`, buildCalendar([event], cleanup.name), 'text/calendar;charset=utf-8');
+        announceToScreenReader(t('calendar.downloaded', { name: cleanup.name }));
+    }
+
+    /**
+     * Cleanups you're going to or waitlisted for, soonest first
+     */
+    getMyRsvps() {
+        return this.cleanups
+            .filter(cleanup => this.rsvps.getState(cleanup).status !== 'none')
+            .sort((a, b) => this.compareCleanups(a, b, 'soonest'));
+    }
+
+    /**
+     * Nothing to export until you've RSVP'd; the button says why while it's off
+     */
+    updateExportButton() {
+        if (!this.exportBtn) return;
+
+        const empty = this.getMyRsvps().length === 0;
+        this.exportBtn.disabled = empty;
+        this.exportBtn.title = empty ? t('calendar.noRsvps') : '';
+    }
+
+    /**
+     * Download every cleanup you're going to or waitlisted for as one .ics feed
+     */
+    exportMyRsvps() {
+        const mine = this.getMyRsvps();
+
+        if (mine.length === 0) {
+            announceToScreenReader(t('calendar.noRsvps'), 'assertive');
+            return;
+        }
+
+        const events = mine.map(cleanup => buildICSEvent(cleanup, {
+            status: this.rsvps.getState(cleanup).status,
+            url: this.getCleanupUrl(cleanup)
+        }));
+
+        downloadFile('shoresquad-my-rsvps.ics', buildCalendar(events, t('calendar.feedName')), 'text/calendar;charset=utf-8');
+        announceToScreenReader(t('calendar.exported', { count: mine.length }));
+    }
+
+    /**
+     * Tally summary for the detail view; the sheet opens once the cleanup has started
+     */
+    renderTally(cleanup) {
+        if (!this.impactManager) return '';
+        if (this.getStatus(cleanup) === 'upcoming') {
+            return html`<p class="tally-summary">${t('tally.opensLater')}</p>`;
+        }
+
+        const recorded = this.impactManager.getRecord(cleanup.id);
+        return html`
+            <div class="tally-summary" id="tally-summary-${cleanup.id}">${this.impactManager.renderSummary(cleanup.id)}</div>
+            <button class="btn-secondary" data-tally-id="${cleanup.id}">${t(recorded ? 'tally.edit' : 'tally.record')}</button>
+        `;
+    }
+
+    openTally(id) {
+        const cleanup = this.getCleanup(id);
+        if (!cleanup || !this.impactManager) return;
+
+        // Head count from check-in when attendance was taken, else everyone who RSVP'd
+        const attended = (this.store.getState().attendance[id] || []).length;
+        this.impactManager.openForm(cleanup, { volunteers: attended || this.getCrewCount(cleanup) });
+    }
+
+    /**
+     * Update the crew count, RSVP state and join button of a single card
+     */
+    updateCard(id) {
+        const cleanup = this.getCleanup(id);
+        if (!cleanup) return;
+
+        const state = this.getRsvpState(cleanup);
+        const signedUp = state.status === 'going' || state.status === 'waitlisted';
+        const action = this.getRsvpAction(state);
+        const label = this.formatRsvpState(state);
+        const counts = document.querySelectorAll(`#crew-count-${id}, [data-crew-count="${id}"]`);
+        const statuses = document.querySelectorAll(`[data-rsvp-status="${id}"]`);
+        const buttons = document.querySelectorAll(`[data-cleanup-id="${id}"]`);
+        const rsvpList = document.getElementById(`rsvp-list-${id}`);
+
+        counts.forEach(count => {
+            count.textContent = I18n.formatNumber(this.getCrewCount(cleanup));
+        });
+        statuses.forEach(status => {
+            status.textContent = label;
+            status.className = `rsvp-status rsvp-${state.status}`;
+            status.hidden = !label;
+        });
+        renderInto(rsvpList, this.renderRsvpItems(this.getRsvpList(cleanup)));
+        this.updateMuteButtons(cleanup);
+        buttons.forEach(button => {
+            button.textContent = action;
+            button.classList.toggle('joined', signedUp);
+            button.setAttribute('aria-pressed', String(signedUp));
+            button.setAttribute('aria-label', t('rsvp.actionLabel', { action, name: cleanup.name }));
+        });
+    }
+
+    toggleJoin(id) {
+        const cleanup = this.getCleanup(id);
+        if (!cleanup) return;
+
+        this.rsvps.getState(cleanup).status === 'none' ? this.join(id) : this.leave(id);
+    }
+
+    join(id) {
+        const cleanup = this.getCleanup(id);
+        if (!cleanup || cleanup.cancelled || this.rsvps.getState(cleanup).status !== 'none') return;
+
+        const state = this.rsvps.add(cleanup);
+        sendCrewAction('cleanup:join', { cleanupId: id, status: state.status });
+        announceToScreenReader(state.status === 'going'
+            ? t('rsvp.joined', { name: cleanup.name })
+            : t('rsvp.joinedWaitlist', { name: cleanup.name, position: state.position }));
+    }
+
+    leave(id) {
+        const cleanup = this.getCleanup(id);
+        const status = cleanup && this.rsvps.getState(cleanup).status;
+        if (!cleanup || status === 'none') return;
+
+        const promoted = this.rsvps.cancel(cleanup);
+        sendCrewAction('cleanup:leave', { cleanupId: id, promoted });
+        announceToScreenReader(status === 'going'
+            ? t('rsvp.left', { name: cleanup.name })
+            : t('rsvp.leftWaitlist', { name: cleanup.name }));
+    }
+}
+
+// ============================================
+// ORGANISER EVENTS
+// ============================================
+
+class EventManager {
+    constructor({ store, actions, cleanupManager }) {
+        this.store = store;
+        this.actions = actions;
+        this.cleanupManager = cleanupManager;
+        this.scheduleBtn = document.getElementById('schedule-cleanup-btn');
+        this.modal = document.getElementById('event-modal');
+        this.form = document.getElementById('event-form');
+        this.title = document.getElementById('event-modal-title');
+        this.error = document.getElementById('event-form-error');
+        this.beachOptions = document.getElementById('beach-options');
+        this.cancelModal = document.getElementById('cancel-event-modal');
+        this.cancelForm = document.getElementById('cancel-event-form');
+        this.cancelTitle = document.getElementById('cancel-event-title');
+        this.editingId = null;
+        this.cancellingId = null;
+        this.init();
+    }
+
+    init() {
+        this.updateScheduleButton();
+        this.store.subscribe(['roster', 'profile'], () => this.updateScheduleButton());
+
+        addListener(this.scheduleBtn, 'click', () => this.openForm());
+
+        // Edit and cancel buttons live on re-rendered cards and the detail view
+        [this.cleanupManager.grid, this.cleanupManager.detailView].forEach(container => {
+            addListener(container, 'click', (e) => {
+                const edit = e.target.closest('[data-edit-event]');
+                const cancel = e.target.closest('[data-cancel-event]');
+
+                if (edit) this.openForm(edit.dataset.editEvent);
+                else if (cancel) this.openCancel(cancel.dataset.cancelEvent);
+            });
+        });
+
+        [[this.modal, () => this.closeForm()], [this.cancelModal, () => this.closeCancel()]].forEach(([modal, close]) => {
+            if (!modal) return;
+
+            addListener(modal.querySelector('.modal-close'), 'click', close);
+            addListener(modal, 'click', (e) => {
+                if (e.target === modal) close();
+            });
+            addListener(modal, 'cancel', (e) => {
+                e.preventDefault();
+                close();
+            });
+        });
+
+        if (this.form) {
+            renderInto(this.beachOptions, BEACH_LOCATIONS.map(beach => html`<option value="${beach.name}"></option>`));
+
+            addListener(this.form, 'submit', (e) => this.handleSubmit(e));
+            // Any edit can resolve a clash reported on another field
+            addListener(this.form, 'input', () => {
+                [...this.form.elements].forEach(field => field.setCustomValidity?.(''));
+                this.showError('');
+            });
+            addListener(this.form.elements.location, 'change', () => this.fillCoordinates());
+        }
+
+        addListener(this.cancelForm, 'submit', (e) => this.handleCancel(e));
+    }
+
+    /**
+     * Only organisers can schedule cleanups
+     */
+    updateScheduleButton() {
+        if (this.scheduleBtn) this.scheduleBtn.hidden = !isOrganiser(this.store.getState());
+    }
+
+    /**
+     * Open the event dialog, empty for a new cleanup or filled in for editing
+     */
+    openForm(id = null) {
+        if (!this.modal || !this.form) return;
+
+        const cleanup = id !== null ? this.cleanupManager.getCleanup(id) : null;
+        this.editingId = cleanup?.id ?? null;
+
+        this.form.reset();
+        this.showError('');
+        [...this.form.elements].forEach(field => field.setCustomValidity?.(''));
+        this.form.elements.date.min = toDateKey(new Date());
+        this.title.textContent = cleanup ? t('events.editTitle', { name: cleanup.name }) : t('events.newTitle');
+
+        if (cleanup) {
+            const { elements } = this.form;
+            elements.name.value = cleanup.name;
+            elements.date.value = cleanup.date;
+            elements.time.value = toTimeInputValue(cleanup.time);
+            elements.location.value = cleanup.location;
+            elements.lat.value = cleanup.lat;
+            elements.lng.value = cleanup.lng;
+            elements.difficulty.value = cleanup.difficulty;
+            elements.capacity.value = cleanup.capacity || '';
+            elements.description.value = cleanup.description;
+        }
+
+        openDialog(this.modal, { title: this.title.textContent, focus: this.form.elements.name });
+    }
+
+    closeForm() {
+        if (!this.modal?.open) return;
+
+        this.editingId = null;
+        closeDialog(this.modal);
+    }
+
+    showError(message) {
+        if (this.error) this.error.textContent = message;
+    }
+
+    /**
+     * Picking a known beach fills in its coordinates
+     */
+    fillCoordinates() {
+        const name = this.form.elements.location.value.trim().toLowerCase();
+        const beach = BEACH_LOCATIONS.find(item => item.name.toLowerCase() === name);
+        if (!beach) return;
+
+        this.form.elements.lat.value = beach.lat;
+        this.form.elements.lng.value = beach.lng;
+    }
+
+    readForm() {
+        const formData = new FormData(this.form);
+        const capacity = Number(formData.get('capacity'));
+
+        return {
+            name: formData.get('name').trim(),
+            date: formData.get('date'),
+            time: formData.get('time') ? toEventTime(formData.get('time')) : '',
+            location: formData.get('location').trim(),
+            lat: parseFloat(formData.get('lat')),
+            lng: parseFloat(formData.get('lng')),
+            difficulty: formData.get('difficulty'),
+            capacity: capacity > 0 ? Math.floor(capacity) : null,
+            description: formData.get('description').trim()
+        };
+    }
+
+    /**
+     * First problem with the form as { field, message }, or null when it can be saved
+     */
+    validate(data) {
+        const existing = this.editingId !== null ? this.cleanupManager.getCleanup(this.editingId) : null;
+        const required = ['name', 'date', 'time', 'location'].find(field => !data[field]);
+        if (required) return { field: required, message: t('events.required') };
+
+        const { north, south, west, east } = CONFIG.MAP.BOUNDS;
+        if (!(data.lat >= south && data.lat <= north)) return { field: 'lat', message: t('events.outsideSingapore') };
+        if (!(data.lng >= west && data.lng <= east)) return { field: 'lng', message: t('events.outsideSingapore') };
+
+        if (!CLEANUP_DIFFICULTIES.includes(data.difficulty)) return { field: 'difficulty', message: t('events.required') };
+
+        // An unchanged date can stay as it is; a new one has to be in the future
+        const start = parseEventDateTime(data.date, data.time).getTime();
+        const rescheduled = !existing || existing.date !== data.date || existing.time !== data.time;
+        if (rescheduled && start <= Date.now()) return { field: 'date', message: t('events.pastDate') };
+
+        const going = existing ? this.cleanupManager.getCrewCount(existing) : 0;
+        if (data.capacity && data.capacity < going) {
+            return { field: 'capacity', message: t('events.capacityTooLow', { count: going }) };
+        }
+
+        const clash = this.findClash(data, start);
+        if (clash) {
+            return { field: 'time', message: t('events.doubleBooked', { name: clash.name, date: this.cleanupManager.formatEventDate(clash) }) };
+        }
+
+        return null;
+    }
+
+    /**
+     * Another cleanup still going ahead at the same beach whose time slot overlaps
+     */
+    findClash(data, start) {
+        const end = start + CONFIG.CLEANUP_DURATION;
+        const location = data.location.toLowerCase();
+
+        return this.cleanupManager.cleanups.find(cleanup => {
+            if (cleanup.id === this.editingId || cleanup.cancelled) return false;
+
+            const sameBeach = cleanup.location.trim().toLowerCase() === location || distanceKm(cleanup, data) < SAME_BEACH_KM;
+            const otherStart = parseEventDateTime(cleanup.date, cleanup.time).getTime();
+            return sameBeach && start < otherStart + CONFIG.CLEANUP_DURATION && otherStart < end;
+        }) || null;
+    }
+
+    handleSubmit(e) {
+        e.preventDefault();
+
+        const data = this.readForm();
+        const problem = this.validate(data);
+
+        if (problem) {
+            const field = this.form.elements[problem.field];
+            field.setCustomValidity(problem.message);
+            field.reportValidity();
+            this.showError(problem.message);
+            announceToScreenReader(problem.message, 'assertive');
+            return;
+        }
+
+        const isNew = this.editingId === null;
+        const cleanup = this.actions.saveCleanup(data, this.editingId);
+
+        // More spaces move people up from the waitlist
+        const promoted = this.cleanupManager.rsvps.promote(cleanup);
+
+        sendCrewAction(isNew ? 'cleanup:create' : 'cleanup:update', { cleanup, promoted });
+        announceToScreenReader(t(isNew ? 'events.created' : 'events.updated', { name: cleanup.name }));
+        this.closeForm();
+    }
+
+    openCancel(id) {
+        const cleanup = this.cleanupManager.getCleanup(id);
+        if (!cleanup || !this.cancelModal) return;
+
+        this.cancellingId = id;
+        this.cancelForm.reset();
+        this.cancelTitle.textContent = t('events.cancelTitle', { name: cleanup.name });
+
+        openDialog(this.cancelModal, { title: this.cancelTitle.textContent, focus: this.cancelForm.elements.reason });
+    }
+
+    closeCancel() {
+        if (!this.cancelModal?.open) return;
+
+        this.cancellingId = null;
+        closeDialog(this.cancelModal);
+    }
+
+    handleCancel(e) {
+        e.preventDefault();
+
+        const reason = this.cancelForm.elements.reason.value.trim();
+        if (!reason) {
+            this.cancelForm.elements.reason.reportValidity();
+            return;
+        }
+
+        const cleanup = this.actions.cancelCleanup(this.cancellingId, reason);
+        this.closeCancel();
+        if (!cleanup) return;
+
+        sendCrewAction('cleanup:cancel', { cleanupId: cleanup.id, reason });
+        announceToScreenReader(t('events.cancelled', { name: cleanup.name }));
+    }
+}
+
+/**
+ * Organisers sign up crew who said they're coming in person or by message, and take
+ * them off again. Each one is an RSVP like any other: it waits its turn when the
+ * cleanup is full, and removing one moves the waitlist up.
+ */
+class CrewRsvpManager {
+    constructor({ store, cleanupManager }) {
+        this.store = store;
+        this.cleanupManager = cleanupManager;
+        this.rsvps = cleanupManager.rsvps;
+        this.modal = document.getElementById('rsvp-modal');
+        this.title = document.getElementById('rsvp-modal-title');
+        this.list = document.getElementById('crew-rsvp-list');
+        this.summary = document.getElementById('crew-rsvp-summary');
+        this.cleanupId = null;
+        this.init();
+    }
+
+    init() {
+        this.store.subscribe(['cleanups', 'roster', 'rsvps', 'profile', 'language'], () => {
+            if (this.modal?.open) this.render();
+        });
+
+        [this.cleanupManager.grid, this.cleanupManager.detailView].forEach(container => {
+            addListener(container, 'click', (e) => {
+                const button = e.target.closest('[data-rsvps-event]');
+                if (button) this.openPanel(button.dataset.rsvpsEvent);
+            });
+        });
+
+        if (this.modal) {
+            addListener(this.modal.querySelector('.modal-close'), 'click', () => this.closePanel());
+            addListener(this.modal, 'click', (e) => {
+                if (e.target === this.modal) this.closePanel();
+            });
+            addListener(this.modal, 'cancel', (e) => {
+                e.preventDefault();
+                this.closePanel();
+            });
+            addListener(this.list, 'click', (e) => {
+                const button = e.target.closest('[data-rsvp-member]');
+                if (button) this.toggle(button.dataset.rsvpMember);
+            });
+        }
+    }
+
+    openPanel(id) {
+        const cleanup = this.cleanupManager.getCleanup(id);
+        if (!cleanup || !this.modal || !isOrganiser(this.store.getState())) return;
+
+        this.cleanupId = id;
+        this.title.textContent = t('rsvps.titleFor', { name: cleanup.name });
+        this.render();
+        openDialog(this.modal, { title: this.title.textContent });
+    }
+
+    closePanel() {
+        if (!this.modal?.open) return;
+
+        this.cleanupId = null;
+        closeDialog(this.modal);
+    }
+
+    /**
+     * The device user's own roster entry RSVPs as SELF_RSVP, like their Join button
+     */
+    getKey(member) {
+        return member.id === this.store.getState().profile?.memberId ? SELF_RSVP : member.id;
+    }
+
+    getName(key) {
+        const { roster, profile } = this.store.getState();
+        if (key === SELF_RSVP) return profile?.name || t('rsvp.you');
+        return roster.find(member => member.id === key)?.name || key;
+    }
+
+    render() {
+        const cleanup = this.cleanupManager.getCleanup(this.cleanupId);
+        if (!cleanup || !this.list) return;
+
+        const { roster } = this.store.getState();
+        const members = [...roster].sort((a, b) => a.name.localeCompare(b.name));
+
+        if (members.length === 0) {
+            renderInto(this.list, html`<li class="attendance-empty">${t('rsvps.noCrew')}</li>`);
+        } else {
+            renderList(this.list, members, {
+                key: member => member.id,
+                render: member => this.renderMember(cleanup, member)
+            });
+        }
+
+        const record = this.rsvps.getRecord(cleanup.id);
+        this.summary.textContent = [
+            t('rsvps.going', { count: this.rsvps.getGoingCount(cleanup, record) }),
+            cleanup.capacity && t('rsvps.capacity', { capacity: I18n.formatNumber(cleanup.capacity) }),
+            record.waitlist.length > 0 && t('rsvp.onWaitlist', { count: record.waitlist.length })
+        ].filter(Boolean).join(' • ');
+    }
+
+    renderMember(cleanup, member) {
+        const state = this.rsvps.getState(cleanup, this.getKey(member));
+        const signedUp = state.status !== 'none';
+        const label = this.cleanupManager.formatRsvpState(state) || t('rsvps.notGoing');
+        const params = { member: member.name, name: cleanup.name };
+
+        return html`
+            <li class="attendance-item">
+                <span aria-hidden="true">${member.avatar}</span>
+                <span class="attendance-name">${member.name}</span>
+                <span class="rsvp-status rsvp-${state.status}">${label}</span>
+                <button class="calendar-link" data-rsvp-member="${member.id}" aria-label="${t(signedUp ? 'rsvps.removeLabel' : 'rsvps.addLabel', params)}">
+                    ${t(signedUp ? 'rsvps.remove' : 'rsvps.add')}
+                </button>
+            </li>
+        `;
+    }
+
+    /**
+     * Sign a crew member up, or take them off the cleanup or its waitlist
+     */
+    toggle(memberId) {
+        const cleanup = this.cleanupManager.getCleanup(this.cleanupId);
+        const member = this.store.getState().roster.find(item => item.id === memberId);
+        if (!cleanup || cleanup.cancelled || !member) return;
+
+        const key = this.getKey(member);
+        const params = { member: member.name, name: cleanup.name };
+        const messages = [];
+
+        if (this.rsvps.getState(cleanup, key).status === 'none') {
+            const state = this.rsvps.add(cleanup, key);
+            sendCrewAction('cleanup:join', { cleanupId: cleanup.id, memberId, status: state.status });
+            messages.push(state.status === 'going'
+                ? t('rsvps.added', params)
+                : t('rsvps.addedWaitlist', { ...params, position: state.position }));
+        } else {
+            const promoted = this.rsvps.cancel(cleanup, key);
+            sendCrewAction('cleanup:leave', { cleanupId: cleanup.id, memberId, promoted });
+            messages.push(t('rsvps.removed', params));
+            if (promoted.length) {
+                messages.push(t('rsvps.promoted', { names: I18n.formatList(promoted.map(item => this.getName(item))) }));
+            }
+        }
+
+        // The row was re-rendered with its new button text
+        this.list.querySelector(`[data-rsvp-member="${memberId}"]`)?.focus();
+        messages.forEach(message => announceToScreenReader(message));
+    }
+}
+
+// ============================================
+// QR CODES
+// ============================================
+// A small QR Code encoder (ISO/IEC 18004): byte mode, error correction level M,
+// versions 1-10 (up to 213 bytes). Check-in codes are drawn on the organiser's phone,
+// so nothing is fetched from a QR service and they work without a signal.
+
+// Per version at level M: [EC codewords per block, [blocks, data codewords per block], ...]
+const QR_BLOCKS = [
+    null,
+    [10, [1, 16]],
+    [16, [1, 28]],
+    [26, [1, 44]],
+    [18, [2, 32]],
+    [24, [2, 43]],
+    [16, [4, 27]],
+    [18, [4, 31]],
+    [22, [2, 38], [2, 39]],
+    [22, [3, 36], [2, 37]],
+    [26, [4, 43], [1, 44]]
+];
+
+// Row/column centres of the alignment patterns, per version
+const QR_ALIGNMENT = [
+    null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34],
+    [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]
+];
+
+// Light modules drawn around the symbol so scanners can find its edges
+const QR_QUIET_ZONE = 4;
+
+// Data mask conditions; a module is flipped where its condition holds
+const QR_MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => x * y % 2 + x * y % 3 === 0,
+    (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+];
+
+// Exponent and log tables for GF(256) with the QR polynomial x^8 + x^4 + x^3 + x^2 + 1
+const QR_GF = (() => {
+    const exp = new Array(512);
+    const log = new Array(256);
+    let value = 1;
+
+    for (let i = 0; i < 255; i++) {
+        exp[i] = value;
+        log[value] = i;
+        value <<= 1;
+        if (value & 0x100) value ^= 0x11D;
+    }
+    for (let i = 255; i < 512; i++) exp[i] = exp[i - 255];
+
+    return { exp, log };
+})();
+
+function gfMultiply(a, b) {
+    return a && b ? QR_GF.exp[QR_GF.log[a] + QR_GF.log[b]] : 0;
+}
+
+/**
+ * Reed-Solomon error correction codewords for one block of data
+ */
+function qrErrorCorrection(data, degree) {
+    // Generator polynomial (x - a^0)(x - a^1)...(x - a^(degree-1)), highest power first
+    let generator = [1];
+    for (let i = 0; i < degree; i++) {
+        const next = new Array(generator.length + 1).fill(0);
+        generator.forEach((coefficient, j) => {
+            next[j] ^= coefficient;
+            next[j + 1] ^= gfMultiply(coefficient, QR_GF.exp[i]);
+        });
+        generator = next;
+    }
+
+    const remainder = new Array(degree).fill(0);
+    data.forEach(byte => {
+        const factor = byte ^ remainder.shift();
+        remainder.push(0);
+        for (let i = 0; i < degree; i++) remainder[i] ^= gfMultiply(generator[i + 1], factor);
+    });
+    return remainder;
+}
+
+/**
+ * Data and error correction codewords for text, in the interleaved order they're drawn
+ */
+function qrCodewords(bytes) {
+    const version = QR_BLOCKS.findIndex((blocks, v) => {
+        if (!blocks) return false;
+        const capacity = blocks.slice(1).reduce((sum, [count, size]) => sum + count * size, 0);
+        return 4 + (v < 10 ? 8 : 16) + bytes.length * 8 <= capacity * 8;
+    });
+    if (version === -1) throw new Error(`Text is too long for a QR code (${bytes.length} bytes)`);
+
+    const [ecLength, ...groups] = QR_BLOCKS[version];
+    const capacity = groups.reduce((sum, [count, size]) => sum + count * size, 0);
+
+    // Mode indicator (0100 = bytes), character count, the bytes, then a terminator
+    const bits = [];
+    const push = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+    push(0b0100, 4);
+    push(bytes.length, version < 10 ? 8 : 16);
+    bytes.forEach(byte => push(byte, 8));
+    push(0, Math.min(4, capacity * 8 - bits.length));
+    push(0, (8 - bits.length % 8) % 8);
+
+    const data = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        data.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    // Alternating pad bytes fill any remaining capacity
+    for (let pad = 0xEC; data.length < capacity; pad ^= 0xEC ^ 0x11) data.push(pad);
+
+    const blocks = [];
+    let offset = 0;
+    groups.forEach(([count, size]) => {
+        for (let i = 0; i < count; i++) {
+            const block = data.slice(offset, offset + size);
+            blocks.push({ data: block, ec: qrErrorCorrection(block, ecLength) });
+            offset += size;
+        }
+    });
+
+    const codewords = [];
+    const longest = Math.max(...blocks.map(block => block.data.length));
+    for (let i = 0; i < longest; i++) {
+        blocks.forEach(block => {
+            if (i < block.data.length) codewords.push(block.data[i]);
+        });
+    }
+    for (let i = 0; i < ecLength; i++) {
+        blocks.forEach(block => codewords.push(block.ec[i]));
+    }
+
+    return { version, codewords };
+}
+
+/**
+ * Penalty score for a masked symbol; the mask with the lowest is used
+ */
+function qrPenalty(modules) {
+    const size = modules.length;
+    let penalty = 0;
+    let dark = 0;
+
+    for (let i = 0; i < size; i++) {
+        [modules[i], modules.map(row => row[i])].forEach(line => {
+            // Runs of five or more modules of one colour
+            let run = 1;
+            for (let j = 1; j <= size; j++) {
+                if (j < size && line[j] === line[j - 1]) {
+                    run++;
+                } else {
+                    if (run >= 5) penalty += run - 2;
+                    run = 1;
+                }
+            }
+
+            // Patterns that look like a finder
+            const text = line.map(Number).join('');
+            penalty += 40 * (text.match(/(?=10111010000|00001011101)/g) || []).length;
+        });
+    }
+
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            if (modules[y][x]) dark++;
+
+            // 2x2 blocks of one colour
+            if (x < size - 1 && y < size - 1) {
+                const colour = modules[y][x];
+                if (modules[y][x + 1] === colour && modules[y + 1][x] === colour && modules[y + 1][x + 1] === colour) {
+                    penalty += 3;
+                }
+            }
+        }
+    }
+
+    // Distance from an even balance of dark and light
+    return penalty + 10 * Math.floor(Math.abs(dark * 100 / (size * size) - 50) / 5);
+}
+
+/**
+ * Encode text as a QR code: rows of modules, true for dark
+ */
+function encodeQR(text) {
+    const { version, codewords } = qrCodewords([...new TextEncoder().encode(text)]);
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+    const set = (x, y, dark) => {
+        modules[y][x] = dark;
+        reserved[y][x] = true;
+    };
+
+    // Timing patterns, then the finders in three corners (with their light separators)
+    for (let i = 0; i < size; i++) {
+        set(6, i, i % 2 === 0);
+        set(i, 6, i % 2 === 0);
+    }
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const x = cx + dx;
+                const y = cy + dy;
+                const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                if (x >= 0 && x < size && y >= 0 && y < size) set(x, y, distance !== 2 && distance !== 4);
+            }
+        }
+    });
+
+    // Alignment patterns, except where they'd overlap a finder
+    const centres = QR_ALIGNMENT[version];
+    const last = centres.length - 1;
+    centres.forEach((cy, i) => centres.forEach((cx, j) => {
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+        for (let dy = -2; dy <= 2; dy++) {
+            for (let dx = -2; dx <= 2; dx++) set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+    }));
+
+    // Format information, drawn for real once the mask is chosen
+    const drawFormat = (mask) => {
+        // Level M is 00, so the data is just the mask number
+        let remainder = mask;
+        for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        const bits = ((mask << 10) | remainder) ^ 0x5412;
+        const bit = (i) => ((bits >>> i) & 1) === 1;
+
+        for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+        set(8, 7, bit(6));
+        set(8, 8, bit(7));
+        set(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+        for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+        set(8, size - 8, true); // the dark module
+    };
+    drawFormat(0);
+
+    // Version information (version 7 and up)
+    if (version >= 7) {
+        let remainder = version;
+        for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+        const bits = (version << 12) | remainder;
+
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) === 1;
+            const a = size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            set(a, b, dark);
+            set(b, a, dark);
+        }
+    }
+
+    // Codewords zigzag up and down two-module columns from the bottom right,
+    // skipping the vertical timing pattern; leftover modules stay light
+    let bitIndex = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+        if (right === 6) right = 5;
+        const upward = ((right + 1) & 2) === 0;
+
+        for (let step = 0; step < size; step++) {
+            const y = upward ? size - 1 - step : step;
+            for (let x = right; x > right - 2; x--) {
+                if (reserved[y][x] || bitIndex >= codewords.length * 8) continue;
+                modules[y][x] = ((codewords[bitIndex >>> 3] >>> (7 - (bitIndex & 7))) & 1) === 1;
+                bitIndex++;
+            }
+        }
+    }
+
+    const applyMask = (mask) => {
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (!reserved[y][x] && QR_MASKS[mask](x, y)) modules[y][x] = !modules[y][x];
+            }
+        }
+    };
+
+    // Masking is its own inverse, so try each, score it and undo it
+    let best = 0;
+    let bestPenalty = Infinity;
+    QR_MASKS.forEach((_, mask) => {
+        applyMask(mask);
+        drawFormat(mask);
+        const penalty = qrPenalty(modules);
+        if (penalty < bestPenalty) {
+            best = mask;
+            bestPenalty = penalty;
+        }
+        applyMask(mask);
+    });
+
+    applyMask(best);
+    drawFormat(best);
+    return modules;
+}
+
+/**
+ * QR code for text as an SVG image, one unit per module
+ */
+function renderQRCode(text, label) {
+    const modules = encodeQR(text);
+    const size = modules.length + QR_QUIET_ZONE * 2;
+    let path = '';
+
+    modules.forEach((row, y) => row.forEach((dark, x) => {
+        if (dark) path += `M${x + QR_QUIET_ZONE} ${y + QR_QUIET_ZONE}h1v1h-1z`;
+    }));
+
+    return html`
+        <svg class="qr-code" viewBox="0 0 ${size} ${size}" role="img" aria-label="${label}" shape-rendering="crispEdges">
+            <rect width="${size}" height="${size}" fill="#FFFFFF"/>
+            <path d="${path}" fill="#000000"/>
+        </svg>
+    `;
+}
+
+// ============================================
+// CHECK-IN & ATTENDANCE
+// ============================================
+
+/**
+ * Random token that goes in a cleanup's check-in link. Only the organiser's phone and
+ * people who scanned the QR code know it, so a guessed link can't produce a valid
+ * confirmation code.
+ */
+function generateCheckInCode() {
+    return randomString(10);
+}
+
+/**
+ * Six-character code a crew member's phone shows after scanning in. It comes from the
+ * check-in token and their email, so the organiser's phone can work out whose it is
+ * from its roster without a connection.
+ */
+function getConfirmationCode(checkInCode, email) {
+    return hashString(`${checkInCode}|${email.trim().toLowerCase()}`).padStart(6, '0').slice(-6).toUpperCase();
+}
+
+/**
+ * Organisers show a check-in QR code on site and tick people off by hand. Crew who scan
+ * it are checked in on their own phone, which shows a confirmation code for the
+ * organiser to type in. Attendance feeds completed counts and the streak. Everything is
+ * local, with crew actions queued by sw.js while offline.
+ */
+class AttendanceManager {
+    constructor({ store, actions, cleanupManager }) {
+        this.store = store;
+        this.actions = actions;
+        this.cleanupManager = cleanupManager;
+        this.modal = document.getElementById('checkin-modal');
+        this.title = document.getElementById('checkin-modal-title');
+        this.qr = document.getElementById('checkin-qr');
+        this.link = document.getElementById('checkin-link');
+        this.scanNote = document.getElementById('checkin-scan-note');
+        this.confirmForm = document.getElementById('checkin-confirm-form');
+        this.confirmError = document.getElementById('checkin-confirm-error');
+        this.list = document.getElementById('attendance-list');
+        this.count = document.getElementById('attendance-count');
+        this.streak = document.getElementById('streak-count');
+        this.cleanupId = null;
+        this.init();
+    }
+
+    init() {
+        this.renderStreak();
+        this.store.subscribe(['cleanups', 'attendance', 'profile', 'language'], () => this.renderStreak());
+        this.store.subscribe(['roster', 'rsvps', 'attendance', 'language'], () => {
+            if (this.modal?.open) this.renderList();
+        });
+
+        // Check-in buttons live on re-rendered cards and the detail view
+        [this.cleanupManager.grid, this.cleanupManager.detailView].forEach(container => {
+            addListener(container, 'click', (e) => {
+                const button = e.target.closest('[data-checkin-event]');
+                if (button) this.openPanel(button.dataset.checkinEvent);
+            });
+        });
+
+        if (this.modal) {
+            addListener(this.modal.querySelector('.modal-close'), 'click', () => this.closePanel());
+            addListener(this.modal, 'click', (e) => {
+                if (e.target === this.modal) this.closePanel();
+            });
+            addListener(this.modal, 'cancel', (e) => {
+                e.preventDefault();
+                this.closePanel();
+            });
+            addListener(this.list, 'change', (e) => {
+                if (e.target.dataset.attendee) this.mark(e.target.dataset.attendee, e.target.checked);
+            });
+            addListener(this.confirmForm, 'submit', (e) => {
+                e.preventDefault();
+                this.confirm(new FormData(this.confirmForm).get('code'));
+            });
+        }
+    }
+
+    getAttendees(id) {
+        return this.store.getState().attendance[id] || [];
+    }
+
+    /**
+     * When scanning in is allowed for a cleanup starting at start (ms): { opens, closes } in ms
+     */
+    getCheckInWindow(start) {
+        return {
+            opens: start - CONFIG.CHECK_IN.OPENS_BEFORE,
+            closes: start + CONFIG.CLEANUP_DURATION + CONFIG.CHECK_IN.CLOSES_AFTER
+        };
+    }
+
+    getStart(cleanup) {
+        return parseEventDateTime(cleanup.date, cleanup.time).getTime();
+    }
+
+    /**
+     * Check-in link: the cleanup id, its start time (base-36 ms) and its check-in token,
+     * so phones that don't have the cleanup can still check in
+     */
+    getCheckInUrl(cleanup) {
+        const start = this.getStart(cleanup).toString(36);
+        return `${window.location.origin}${window.location.pathname}#/checkin/${cleanup.id}/${start}/${cleanup.checkInCode}`;
+    }
+
+    /**
+     * Check in whoever is using this device from a scanned link. Returns { ok, message },
+     * plus the confirmation code to show the organiser once checked in.
+     */
+    checkIn(id, startKey, code, now = Date.now()) {
+        const cleanup = this.cleanupManager.getCleanup(id);
+        const { profile, attendance } = this.store.getState();
+        const start = parseInt(startKey, 36);
+        const name = cleanup?.name || t('checkin.thisCleanup');
+        let problem = null;
+
+        // A copy with a token is the one the code was made from, so the link has to match
+        // it. Other phones go by the link; a made-up one gives a confirmation code that
+        // matches nobody on the organiser's roster.
+        const issued = cleanup?.checkInCode;
+        const { opens, closes } = this.getCheckInWindow(issued ? this.getStart(cleanup) : start);
+
+        if (cleanup?.cancelled) {
+            problem = t('checkin.cancelled', { name });
+        } else if (!Number.isFinite(start) || (issued && (code !== issued || start !== this.getStart(cleanup)))) {
+            problem = t('checkin.invalid', { name });
+        } else if (!profile?.email) {
+            problem = t('checkin.needsProfile');
+        } else if (now < opens) {
+            problem = t('checkin.notOpen', { name, time: I18n.formatDate(new Date(opens), { dateStyle: 'medium', timeStyle: 'short' }) });
+        } else if (now > closes) {
+            problem = t('checkin.closed', { name });
+        }
+
+        if (problem) {
+            announceToScreenReader(problem, 'assertive');
+            return { ok: false, message: problem };
+        }
+
+        const confirmation = getConfirmationCode(code, profile.email);
+        const already = hasAttended(attendance, id, getSelfKeys(profile));
+        if (!already) {
+            this.actions.setAttendance(id, getSelfKeys(profile)[0], true);
+            sendCrewAction('attendance:checkin', { cleanupId: id, code, confirmation, memberId: profile.memberId || null });
+        }
+
+        const message = t(already ? 'checkin.already' : 'checkin.done', { name });
+        announceToScreenReader(message);
+        announceToScreenReader(t('checkin.yourCode', { code: confirmation.split('').join(' ') }));
+        return { ok: true, message, confirmation };
+    }
+
+    /**
+     * Outcome of a scan for the detail view: the problem, or the confirmation code
+     */
+    renderCheckInResult(result) {
+        if (!result.ok) return html`<p class="form-error checkin-error">${result.message}</p>`;
+
+        return html`
+            <div class="checkin-confirmation">
+                <p>${result.message}</p>
+                <p class="confirmation-code">${result.confirmation}</p>
+                <p class="form-hint">${t('checkin.showCode')}</p>
+            </div>
+        `;
+    }
+
+    /**
+     * Open the check-in panel for a cleanup, giving it a check-in code the first time
+     */
+    openPanel(id) {
+        let cleanup = this.cleanupManager.getCleanup(id);
+        if (!cleanup || !this.modal || !isOrganiser(this.store.getState())) return;
+
+        if (!cleanup.checkInCode) {
+            cleanup = this.actions.saveCleanup({ checkInCode: generateCheckInCode() }, id);
+            sendCrewAction('cleanup:update', cleanup);
+        }
+
+        this.cleanupId = id;
+        this.title.textContent = t('checkin.titleFor', { name: cleanup.name });
+        this.confirmForm?.reset();
+        if (this.confirmError) this.confirmError.textContent = '';
+
+        // Scanning stops after the window; organisers can still fix the list by hand
+        const scanning = Date.now() <= this.getCheckInWindow(this.getStart(cleanup)).closes;
+        const url = this.getCheckInUrl(cleanup);
+        renderInto(this.qr, scanning ? renderQRCode(url, t('checkin.qrLabel', { name: cleanup.name })) : '');
+        this.link.textContent = scanning ? url : '';
+        this.qr.hidden = !scanning;
+        this.link.hidden = !scanning;
+        this.scanNote.textContent = t(scanning ? 'checkin.scanHint' : 'checkin.scanClosed');
+
+        this.renderList();
+        openDialog(this.modal, { title: this.title.textContent });
+    }
+
+    closePanel() {
+        if (!this.modal?.open) return;
+
+        this.cleanupId = null;
+        closeDialog(this.modal);
+    }
+
+    /**
+     * Crew checklist, people who RSVP'd first
+     */
+    renderList() {
+        const cleanup = this.cleanupManager.getCleanup(this.cleanupId);
+        if (!cleanup || !this.list) return;
+
+        const { roster, profile } = this.store.getState();
+        const attendees = this.getAttendees(cleanup.id);
+        const record = this.cleanupManager.rsvps.getRecord(cleanup.id);
+        const isGoing = (member) => record.going.includes(member.id) ||
+            (member.id === profile?.memberId && record.going.includes(SELF_RSVP));
+        const isPresent = (member) => attendees.includes(member.id) ||
+            (member.id === profile?.memberId && attendees.includes(SELF_RSVP));
+        const members = [...roster].sort((a, b) =>
+            Number(isGoing(b)) - Number(isGoing(a)) || a.name.localeCompare(b.name)
+        );
+
+        if (members.length === 0) {
+            renderInto(this.list, html`<li class="attendance-empty">${t('checkin.noCrew')}</li>`);
+        } else {
+            renderList(this.list, members, {
+                key: member => member.id,
+                render: member => html`
+                    <li>
+                        <label class="attendance-item">
+                            <input type="checkbox" data-attendee="${member.id}">
+                            <span aria-hidden="true">${member.avatar}</span>
+                            <span class="attendance-name">${member.name}</span>
+                            ${isGoing(member) && html`<span class="attendance-rsvp">${t('checkin.rsvpd')}</span>`}
+                        </label>
+                    </li>
+                `
+            });
+
+            // Ticks are set on the live checkboxes so a change doesn't rebuild the row and lose focus
+            this.list.querySelectorAll('[data-attendee]').forEach(box => {
+                box.checked = isPresent(roster.find(member => member.id === box.dataset.attendee));
+            });
+        }
+
+        // Scanned-in phones without a roster entry still count
+        this.count.textContent = t('checkin.count', { count: attendees.length });
+    }
+
+    /**
+     * Tick someone off (or un-tick them) from the organiser's list
+     */
+    mark(memberId, present) {
+        const cleanup = this.cleanupManager.getCleanup(this.cleanupId);
+        const member = this.store.getState().roster.find(item => item.id === memberId);
+        if (!cleanup || !member) return;
+
+        // Un-ticking yourself also clears a scan from before you joined the roster
+        const { profile } = this.store.getState();
+        const keys = !present && memberId === profile?.memberId ? [memberId, SELF_RSVP] : [memberId];
+        const changed = keys.filter(key => this.actions.setAttendance(cleanup.id, key, present));
+        if (changed.length === 0) return;
+
+        sendCrewAction('attendance:update', { cleanupId: cleanup.id, memberId, present });
+        announceToScreenReader(t(present ? 'checkin.marked' : 'checkin.unmarked', { name: member.name }));
+    }
+
+    /**
+     * Tick off the crew member whose phone showed this confirmation code
+     */
+    confirm(code) {
+        const cleanup = this.cleanupManager.getCleanup(this.cleanupId);
+        const normalised = String(code || '').replace(/\s+/g, '').toUpperCase();
+        if (!cleanup?.checkInCode || !normalised) return;
+
+        const { roster, attendance } = this.store.getState();
+        const member = roster.find(item => getConfirmationCode(cleanup.checkInCode, item.email) === normalised);
+        if (!member) {
+            this.confirmError.textContent = t('checkin.noMatch', { code: normalised });
+            return;
+        }
+
+        this.confirmError.textContent = '';
+        this.confirmForm.reset();
+        if (hasAttended(attendance, cleanup.id, [member.id])) {
+            announceToScreenReader(t('checkin.alreadyConfirmed', { name: member.name }));
+        } else {
+            this.mark(member.id, true);
+        }
+    }
+
+    /**
+     * Consecutive cleanups attended by whoever is using this device
+     */
+    renderStreak() {
+        if (!this.streak) return;
+
+        const { cleanups, attendance, profile } = this.store.getState();
+        this.streak.textContent = I18n.formatNumber(getAttendanceStreak(cleanups, attendance, getSelfKeys(profile)));
+    }
+}
+
+// ============================================
+// FILTER MANAGEMENT
+// ============================================
+
+/**
+ * Read filters from the query string, ignoring unknown values
+ */
+function readFiltersFromURL() {
+    const params = new URLSearchParams(window.location.search);
+    const filters = { ...DEFAULT_FILTERS };
+
+    const status = params.get('status');
+    if (['all', 'active', 'upcoming', 'past'].includes(status)) filters.status = status;
+
+    const difficulty = params.get('difficulty');
+    if (['all', 'beginner', 'experienced'].includes(difficulty)) filters.difficulty = difficulty;
+
+    const maxDistance = parseFloat(params.get('maxDistance'));
+    if (maxDistance > 0) filters.maxDistance = maxDistance;
+
+    const sort = params.get('sort');
+    if (['soonest', 'nearest', 'crew'].includes(sort)) filters.sort = sort;
+
+    return filters;
+}
+
+class FilterManager {
+    constructor({ store, actions }) {
+        this.store = store;
+        this.actions = actions;
+        this.filterButtons = document.querySelectorAll('.filter-btn');
+        this.statusGroup = document.getElementById('filter-status');
+        this.difficultySelect = document.getElementById('filter-difficulty');
+        this.distanceSelect = document.getElementById('filter-distance');
+        this.sortSelect = document.getElementById('cleanup-sort');
+        this.init();
+    }
+
+    init() {
+        this.filterButtons.forEach(btn => {
+            addListener(btn, 'click', () => this.applyFilter(btn));
+        });
+        this.roving = new RovingFocus(this.statusGroup, '.filter-btn');
+
+        addListener(this.difficultySelect, 'change', () => {
+            this.updateFilters({ difficulty: this.difficultySelect.value });
+        });
+
+        addListener(this.distanceSelect, 'change', () => {
+            const value = this.distanceSelect.value;
+            this.updateFilters({ maxDistance: value ? Number(value) : null });
+        });
+
+        addListener(this.sortSelect, 'change', () => {
+            this.updateFilters({ sort: this.sortSelect.value });
+        });
+
+        // Filters start from a bookmarked or shared URL (see createInitialState)
+        this.syncControls();
+        this.store.subscribe(['filters'], () => {
+            this.syncControls();
+            this.writeFiltersToURL();
+        });
+    }
+
+    get filters() {
+        return this.store.getState().filters;
+    }
+
+    applyFilter(button) {
+        this.updateFilters({ status: button.dataset.filter });
+    }
+
+    updateFilters(changes) {
+        this.actions.setFilters(changes);
+    }
+
+    /**
+     * Reflect current filters in buttons and selects
+     */
+    syncControls() {
+        this.filterButtons.forEach(btn => {
+            const isActive = btn.dataset.filter === this.filters.status;
+            btn.classList.toggle('active', isActive);
+            btn.setAttribute('aria-pressed', String(isActive));
+        });
+
+        // Tabbing into the group lands on the pressed button, unless the user is already in it
+        if (!this.statusGroup?.contains(document.activeElement)) {
+            this.roving.setCurrent(this.statusGroup?.querySelector('[aria-pressed="true"]'));
+        }
+
+        if (this.difficultySelect) this.difficultySelect.value = this.filters.difficulty;
+        if (this.distanceSelect) this.distanceSelect.value = this.filters.maxDistance ?? '';
+        if (this.sortSelect) this.sortSelect.value = this.filters.sort;
+    }
+
+    /**
+     * Save filters in the query string so the view can be bookmarked and shared
+     */
+    writeFiltersToURL() {
+        const url = new URL(window.location.href);
+
+        Object.entries(this.filters).forEach(([key, value]) => {
+            if (value === DEFAULT_FILTERS[key]) {
+                url.searchParams.delete(key);
+            } else {
+                url.searchParams.set(key, value);
+            }
+        });
+
+        history.replaceState(history.state, '', url);
+    }
+}
+
+// ============================================
+// USER LOCATION
+// ============================================
+
+class LocationManager {
+    constructor({ store, actions }) {
+        this.store = store;
+        this.actions = actions;
+        this.originLabel = document.getElementById('distance-origin');
+        this.useLocationBtn = document.getElementById('use-location-btn');
+        this.watchId = null;
+        this.init();
+    }
+
+    init() {
+        this.renderOriginLabel();
+        this.store.subscribe(['origin', 'language'], () => this.renderOriginLabel());
+
+        // A new preferred beach applies unless the device is giving us a position
+        this.store.subscribe(['profile'], () => {
+            if (this.origin?.source !== 'device') this.usePreferredBeach();
+        });
+
+        // Distances start from the saved preferred beach; the device is only asked
+        // for its position once the user chooses to share it
+        this.usePreferredBeach();
+        if (!('geolocation' in navigator)) return;
+
+        if (this.useLocationBtn) {
+            this.useLocationBtn.hidden = false;
+            addListener(this.useLocationBtn, 'click', () => this.startWatching());
+        }
+
+        // Someone who already allowed it doesn't need to be asked again
+        navigator.permissions?.query({ name: 'geolocation' })
+            .then(status => {
+                if (status.state === 'granted') this.startWatching();
+            })
+            .catch(() => {});
+    }
+
+    /**
+     * Keep distances current as the user moves
+     */
+    startWatching() {
+        if (this.watchId !== null) return;
+
+        if (this.useLocationBtn) this.useLocationBtn.disabled = true;
+        this.watchId = navigator.geolocation.watchPosition(
+            (position) => this.handlePosition(position),
+            (err) => this.handleError(err),
+            { enableHighAccuracy: false, maximumAge: 60000, timeout: 15000 }
+        );
+    }
+
+    stopWatching() {
+        if (this.watchId !== null) navigator.geolocation.clearWatch(this.watchId);
+        this.watchId = null;
+        if (this.useLocationBtn) this.useLocationBtn.disabled = false;
+    }
+
+    get origin() {
+        return this.store.getState().origin;
+    }
+
+    handlePosition(position) {
+        const origin = {
+            lat: position.coords.latitude,
+            lng: position.coords.longitude,
+            source: 'device'
+        };
+
+        // Ignore jitter so cards don't re-render for every tiny GPS update
+        if (this.origin?.source === 'device' && distanceKm(this.origin, origin) < LOCATION_MIN_MOVE_KM) {
+            return;
+        }
+
+        this.setOrigin(origin);
+    }
+
+    handleError(err) {
+        console.log('Geolocation unavailable:', err.message);
+
+        // Keep the last known position if the watch later times out
+        if (this.origin?.source === 'device' && err.code !== err.PERMISSION_DENIED) return;
+
+        // Let the button try again, and say why nothing changed
+        this.stopWatching();
+        announceToScreenReader(t(err.code === err.PERMISSION_DENIED ? 'location.denied' : 'location.unavailable'));
+        this.usePreferredBeach();
+    }
+
+    /**
+     * Fall back to the "Preferred Beach" from the join form
+     */
+    usePreferredBeach() {
+        const { profile } = this.store.getState();
+        const beach = this.findBeach(profile?.location);
+
+        this.setOrigin(beach ? {
+            lat: beach.lat,
+            lng: beach.lng,
+            source: 'preferred-beach',
+            beach: beach.name
+        } : null);
+    }
+
+    /**
+     * Match free-text beach names like "pasir ris" to a known beach
+     */
+    findBeach(name) {
+        const query = name?.trim().toLowerCase();
+        if (!query) return null;
+
+        return BEACH_LOCATIONS.find(beach =>
+            [beach.name.toLowerCase(), ...beach.aliases].some(term =>
+                query.includes(term) || (query.length >= 3 && term.includes(query))
+            )
+        ) || null;
+    }
+
+    setOrigin(origin) {
+        this.actions.setOrigin(origin);
+    }
+
+    renderOriginLabel() {
+        if (!this.originLabel) return;
+
+        if (!this.origin) {
+            this.originLabel.textContent = t('location.none');
+            return;
+        }
+
+        const origin = this.origin.source === 'device'
+            ? t('location.device')
+            : t('location.preferredBeach', { beach: this.origin.beach });
+        this.originLabel.textContent = t('location.distancesFrom', { origin });
+    }
+}
+
+// ============================================
+// CLEANUP MAP
+// ============================================
+
+const TILE_SIZE = 256;
+
+class CleanupMap {
+    constructor({ store, cleanupManager }) {
+        this.store = store;
+        this.cleanupManager = cleanupManager;
+        this.container = document.getElementById('map-container');
+        this.mapInfo = document.getElementById('map-info');
+        this.cleanups = [];
+        this.selectedId = null;
+        this.init();
+    }
+
+    init() {
+        if (!this.container) return;
+
+        const { BOUNDS, TILE_ZOOM } = CONFIG.MAP;
+        this.zoom = TILE_ZOOM;
+        this.origin = this.project({ lat: BOUNDS.north, lng: BOUNDS.west });
+        const corner = this.project({ lat: BOUNDS.south, lng: BOUNDS.east });
+        this.width = corner.x - this.origin.x;
+        this.height = corner.y - this.origin.y;
+
+        const svgNS = 'http://www.w3.org/2000/svg';
+        this.svg = document.createElementNS(svgNS, 'svg');
+        this.svg.setAttribute('class', 'map-svg');
+        this.svg.setAttribute('viewBox', `0 0 ${this.width} ${this.height}`);
+        this.svg.setAttribute('preserveAspectRatio', 'xMidYMid meet');
+        this.svg.setAttribute('role', 'group');
+        renderInto(this.svg, html`
+            <rect class="map-sea" width="${this.width}" height="${this.height}"></rect>
+            <g class="map-coastline" aria-hidden="true"></g>
+            <g class="map-tiles" aria-hidden="true"></g>
+            <g class="map-markers"></g>
+        `);
+
+        this.container.innerHTML = '';
+        this.container.appendChild(this.svg);
+        this.container.classList.add('map-outline');
+
+        // Delegate marker clicks and keyboard activation
+        addListener(this.svg, 'click', (e) => {
+            const marker = e.target.closest('.map-marker');
+            if (marker) this.selectCleanup(marker.dataset.cleanupId);
+        });
+        addListener(this.svg, 'keydown', (e) => {
+            const marker = e.target.closest('.map-marker');
+            if (marker && (e.key === 'Enter' || e.key === ' ')) {
+                e.preventDefault();
+                this.selectCleanup(marker.dataset.cleanupId);
+            }
+        });
+
+        this.loadCoastline();
+        this.loadTiles();
+
+        // Markers follow the same filters as the cleanup list
+        this.refresh();
+        this.store.subscribe(['cleanups', 'filters', 'origin', 'language'], () => this.refresh());
+    }
+
+    refresh() {
+        this.svg.setAttribute('aria-label', t('map.svgLabel'));
+        this.setCleanups(this.cleanupManager.getVisibleCleanups());
+    }
+
+    /**
+     * Web Mercator projection to pixel coordinates at the map zoom level
+     */
+    project({ lat, lng }) {
+        const scale = TILE_SIZE * 2 ** this.zoom;
+        const sinLat = Math.sin(lat * Math.PI / 180);
+        return {
+            x: (lng + 180) / 360 * scale,
+            y: (0.5 - Math.log((1 + sinLat) / (1 - sinLat)) / (4 * Math.PI)) * scale
+        };
+    }
+
+    /**
+     * Project to coordinates inside the SVG viewBox
+     */
+    toViewBox(point) {
+        const { x, y } = this.project(point);
+        return { x: x - this.origin.x, y: y - this.origin.y };
+    }
+
+    /**
+     * Draw the bundled coastline outline, which works with no tile service
+     */
+    async loadCoastline() {
+        try {
+            const response = await fetch(CONFIG.MAP.COASTLINE);
+            if (!response.ok) throw new Error(`Coastline load error: ${response.status}`);
+            const geojson = await response.json();
+
+            const paths = geojson.features.map(feature => {
+                const rings = feature.geometry.coordinates.map(ring => {
+                    const points = ring.map(([lng, lat]) => this.toViewBox({ lat, lng }));
+                    return 'M' + points.map(p => `${p.x.toFixed(1)},${p.y.toFixed(1)}`).join('L') + 'Z';
+                });
+                return html`<path d="${rings.join(' ')}"><title>${feature.properties.name}</title></path>`;
+            });
+
+            renderInto(this.svg.querySelector('.map-coastline'), paths);
+        } catch (err) {
+            console.warn('Could not load coastline outline:', err);
+        }
+    }
+
+    /**
+     * Add raster tiles on top of the outline if the tile service is reachable
+     */
+    loadTiles() {
+        if (!CONFIG.MAP.ACCESS_TOKEN) return;
+
+        const minX = Math.floor(this.origin.x / TILE_SIZE);
+        const minY = Math.floor(this.origin.y / TILE_SIZE);
+        const maxX = Math.floor((this.origin.x + this.width) / TILE_SIZE);
+        const maxY = Math.floor((this.origin.y + this.height) / TILE_SIZE);
+
+        // Probe one tile first so an unreachable service leaves the outline untouched
+        const probe = new Image();
+        probe.onload = () => {
+            const tiles = [];
+            for (let x = minX; x <= maxX; x++) {
+                for (let y = minY; y <= maxY; y++) {
+                    tiles.push(html`<image href="${this.getTileUrl(x, y)}" x="${x * TILE_SIZE - this.origin.x}" y="${y * TILE_SIZE - this.origin.y}" width="${TILE_SIZE}" height="${TILE_SIZE}"></image>`);
+                }
+            }
+            renderInto(this.svg.querySelector('.map-tiles'), tiles);
+            this.container.classList.remove('map-outline');
+        };
+        probe.onerror = () => {
+            console.log('Map tiles unreachable, using coastline outline');
+        };
+        probe.src = this.getTileUrl(minX, minY);
+    }
+
+    getTileUrl(x, y) {
+        return `${CONFIG.API.MAPS}/tiles/${TILE_SIZE}/${this.zoom}/${x}/${y}?access_token=${CONFIG.MAP.ACCESS_TOKEN}`;
+    }
+
+    /**
+     * Show markers for the given (filtered) cleanups
+     */
+    setCleanups(cleanups) {
+        this.cleanups = cleanups.filter(cleanup => cleanup.lat !== undefined && cleanup.lng !== undefined);
+        this.renderMarkers();
+
+        // Keep the selection if it's still visible, otherwise pick the first cleanup
+        const selected = this.cleanups.find(cleanup => cleanup.id === this.selectedId) || this.cleanups[0];
+        this.selectedId = selected?.id ?? null;
+        this.highlightSelected();
+        this.renderMapInfo(selected);
+    }
+
+    renderMarkers() {
+        if (!this.svg) return;
+
+        renderInto(this.svg.querySelector('.map-markers'), this.cleanups.map(cleanup => {
+            const { x, y } = this.toViewBox(cleanup);
+            const status = this.cleanupManager.getStatus(cleanup);
+
+            return html`
+                <g class="map-marker marker-${status}" data-cleanup-id="${cleanup.id}" transform="translate(${x.toFixed(1)}, ${y.toFixed(1)})"
+                    tabindex="0" role="button" aria-label="${t('map.markerLabel', { name: cleanup.name, location: cleanup.location })}">
+                    <path d="M0,0 C-6,-10 -12,-16 -12,-24 A12,12 0 1 1 12,-24 C12,-16 6,-10 0,0 Z"></path>
+                    <circle cy="-24" r="4.5"></circle>
+                    <title>${cleanup.name}</title>
+                </g>
+            `;
+        }));
+    }
+
+    selectCleanup(id) {
+        const cleanup = this.cleanups.find(item => item.id === id);
+        if (!cleanup) return;
+
+        this.selectedId = id;
+        this.highlightSelected();
+        this.renderMapInfo(cleanup);
+        announceToScreenReader(t('map.selected', { name: cleanup.name }));
+    }
+
+    highlightSelected() {
+        this.svg?.querySelectorAll('.map-marker').forEach(marker => {
+            const isSelected = marker.dataset.cleanupId === this.selectedId;
+            marker.classList.toggle('selected', isSelected);
+            marker.setAttribute('aria-pressed', String(isSelected));
+        });
+    }
+
+    renderMapInfo(cleanup) {
+        if (!this.mapInfo) return;
+
+        if (!cleanup) {
+            renderInto(this.mapInfo, html`
+                <h3>${t('map.noMatchesTitle')}</h3>
+                <p>${t('map.noMatchesBody')}</p>
+            `);
+            return;
+        }
+
+        const status = this.cleanupManager.getStatus(cleanup);
+
+        renderInto(this.mapInfo, html`
+            <h3>📍 ${cleanup.name}</h3>
+            <p><strong>${t('map.beach')}</strong> ${t('detail.place', { location: cleanup.location })}</p>
+            <p><strong>${t('map.coordinates')}</strong> ${cleanup.lat.toFixed(6)}°N, ${cleanup.lng.toFixed(6)}°E</p>
+            <p><strong>${t('map.when')}</strong> ${this.cleanupManager.formatEventDate(cleanup)}</p>
+            <p><strong>${t('map.level')}</strong> ${t(`badge.${cleanup.difficulty}`)}</p>
+            <p><strong>${t('detail.status')}</strong> ${t(`status.${status}`)}</p>
+            <p><a href="#/cleanups/${cleanup.id}">${t('map.details')}</a></p>
+        `);
+    }
+}
+
+// ============================================
+// LAZY LOADING
+// ============================================
+
+class LazyLoader {
+    constructor() {
+        if ('IntersectionObserver' in window) {
+            this.init();
+        }
+    }
+
+    init() {
+        const observer = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    this.loadElement(entry.target);
+                    observer.unobserve(entry.target);
+                }
+            });
+        }, {
+            rootMargin: '50px'
+        });
+
+        // Observe images and other lazy-load candidates
+        document.querySelectorAll('[data-lazy]').forEach(el => observer.observe(el));
+    }
+
+    loadElement(element) {
+        if (element.dataset.src) {
+            element.src = element.dataset.src;
+            element.removeAttribute('data-lazy');
+        }
+    }
+}
+
+// ============================================
+// CLEANUP SUITABILITY SCORING
+// ============================================
+
+/**
+ * Heat index (apparent temperature) in °C from air temperature and relative humidity,
+ * using the NWS Rothfusz regression
+ */
+function calculateHeatIndex(tempC, humidity) {
+    const f = tempC * 9 / 5 + 32;
+    let hi = 0.5 * (f + 61 + (f - 68) * 1.2 + humidity * 0.094);
+
+    if (hi >= 80) {
+        hi = -42.379 + 2.04901523 * f + 10.14333127 * humidity
+            - 0.22475541 * f * humidity - 0.00683783 * f * f
+            - 0.05481717 * humidity * humidity + 0.00122874 * f * f * humidity
+            + 0.00085282 * f * humidity * humidity - 0.00000199 * f * f * humidity * humidity;
+    }
+
+    return (hi - 32) * 5 / 9;
+}
+
+/**
+ * Score cleanup conditions from 0 (unsafe) to 100 (ideal); label and risks are in the current language
+ * condition: output of WeatherManager.mapWeatherCondition
+ * temperature/humidity: station readings or forecast values, optional
+ */
+function scoreCleanupConditions({ condition, temperature = null, humidity = null }) {
+    let score = 100;
+    const risks = [];
+
+    // Heat stress (NWS heat index bands)
+    if (temperature !== null && humidity !== null) {
+        const heatIndex = calculateHeatIndex(temperature, humidity);
+        const feelsLike = { temperature: Math.round(heatIndex) };
+
+        if (heatIndex >= 51) {
+            score -= 70;
+            risks.push(t('risk.extremeHeat', feelsLike));
+        } else if (heatIndex >= 39) {
+            score -= 45;
+            risks.push(t('risk.heatDanger', feelsLike));
+        } else if (heatIndex >= 32) {
+            score -= 25;
+            risks.push(t('risk.highHeat', feelsLike));
+        } else if (heatIndex >= 27) {
+            score -= 10;
+            risks.push(t('risk.mildHeat', feelsLike));
+        }
+    }
+
+    // Rain and thunder risk; lightning makes an open beach unsafe
+    if (condition === 'Thundery') {
+        score -= 60;
+        risks.push(t('risk.thunder'));
+    } else if (condition === 'Rainy') {
+        score -= 35;
+        risks.push(t('risk.rain'));
+    } else if (condition === 'Showers') {
+        score -= 25;
+        risks.push(t('risk.showers'));
+    } else if (condition === 'Windy') {
+        score -= 10;
+        risks.push(t('risk.windy'));
+    }
+
+    score = Math.max(0, Math.min(100, Math.round(score)));
+    const band = SUITABILITY_LEVELS.find(level => score >= level.min);
+
+    return {
+        score,
+        level: band.level,
+        label: t(`suitability.${band.level}`),
+        risks
+    };
+}
+
+// ============================================
+// WEATHER PROVIDERS
+// ============================================
+
+/**
+ * Weather providers return raw NEA-format JSON from three methods:
+ * getForecast() (4-day forecast), getTemperature() and getHumidity() (station readings)
+ */
+
+async function fetchJSON(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Weather API error: ${response.status}`);
+    }
+    return response.json();
+}
+
+/**
+ * Live NEA API on data.gov.sg (default)
+ */
+class NEAWeatherProvider {
+    constructor(endpoints = CONFIG.API) {
+        this.name = 'nea';
+        this.endpoints = endpoints;
+    }
+
+    getForecast() {
+        return fetchJSON(this.endpoints.WEATHER_FORECAST);
+    }
+
+    getTemperature() {
+        return fetchJSON(this.endpoints.WEATHER_REALTIME);
+    }
+
+    getHumidity() {
+        return fetchJSON(this.endpoints.WEATHER_HUMIDITY);
+    }
+}
+
+/**
+ * Replays recorded NEA responses from local JSON files, for offline development and tests
+ */
+class FixtureWeatherProvider {
+    constructor(fixtures = CONFIG.WEATHER_FIXTURES) {
+        this.name = 'fixture';
+        this.fixtures = fixtures;
+    }
+
+    async getForecast() {
+        const data = await fetchJSON(this.fixtures.FORECAST);
+        return this.fixtures.REBASE_DATES ? this.rebaseForecast(data) : data;
+    }
+
+    getTemperature() {
+        return fetchJSON(this.fixtures.TEMPERATURE);
+    }
+
+    getHumidity() {
+        return fetchJSON(this.fixtures.HUMIDITY);
+    }
+
+    /**
+     * Shift a recorded forecast so its first day is today; otherwise an old
+     * recording has no current days left to show
+     */
+    rebaseForecast(data) {
+        const item = data?.items?.[0];
+        const firstDate = item?.forecasts?.[0]?.date;
+        if (!firstDate) return data;
+
+        const offset = parseEventDateTime(toDateKey(new Date())) - parseEventDateTime(firstDate);
+        const shiftDate = (date) => toDateKey(new Date(parseEventDateTime(date).getTime() + offset));
+        const shiftTimestamp = (timestamp) => timestamp && new Date(new Date(timestamp).getTime() + offset).toISOString();
+
+        return {
+            ...data,
+            items: [{
+                ...item,
+                update_timestamp: shiftTimestamp(item.update_timestamp),
+                timestamp: shiftTimestamp(item.timestamp),
+                forecasts: item.forecasts.map(dayForecast => ({
+                    ...dayForecast,
+                    date: shiftDate(dayForecast.date),
+                    timestamp: shiftTimestamp(dayForecast.timestamp)
+                }))
+            }]
+        };
+    }
+}
+
+const WEATHER_PROVIDERS = {
+    nea: NEAWeatherProvider,
+    fixture: FixtureWeatherProvider
+};
+
+/**
+ * Create the weather provider named in CONFIG.WEATHER_PROVIDER
+ */
+function createWeatherProvider(name = CONFIG.WEATHER_PROVIDER) {
+    const Provider = WEATHER_PROVIDERS[name];
+    if (!Provider) {
+        throw new Error(`Unknown weather provider: ${name}`);
+    }
+    return new Provider();
+}
+
+// ============================================
+// WEATHER MANAGEMENT - NEA Singapore Weather API
+// ============================================
+
+/**
+ * Translated name for a WeatherManager.mapWeatherCondition() result;
+ * NEA text it couldn't map is shown as-is
+ */
+function formatCondition(condition) {
+    const key = `condition.${String(condition).toLowerCase().replace(/\s+/g, '-')}`;
+    return I18n.has(key) ? t(key) : condition;
+}
+
+/**
+ * NEA only publishes forecast text in English. Other languages show just the
+ * translated condition it maps to, so this returns null for them.
+ */
+function formatForecastText(weather) {
+    return I18n.language === DEFAULT_LANGUAGE ? weather.forecast : null;
+}
+
+class WeatherManager {
+    constructor({ store, actions, provider = createWeatherProvider() }) {
+        this.store = store;
+        this.actions = actions;
+        this.provider = provider;
+        this.weatherGrid = document.getElementById('weather-grid');
+        this.weatherUpdated = document.getElementById('weather-updated');
+        this.weatherCache = null;
+        this.stations = [];
+        this.lastFetchTime = 0;
+        this.updatedAt = null;
+        this.refreshFailed = false;
+        this.loadWeatherData = debounce(() => this.fetchWeather(), CONFIG.DEBOUNCE_DELAY);
+        this.restoreCache();
+    }
+
+    /**
+     * Each provider has its own cache, so recorded fixtures never pass for live NEA data
+     */
+    get cacheKey() {
+        return `weather_cache_${this.provider.name}`;
+    }
+
+    /**
+     * Restore the last good forecast saved by saveCache()
+     */
+    restoreCache() {
+        const cached = Storage.get(this.cacheKey);
+        if (!cached || !Array.isArray(cached.forecast)) return;
+
+        this.weatherCache = cached.forecast;
+        this.stations = cached.stations || [];
+        this.lastFetchTime = cached.fetchedAt || 0;
+        this.updatedAt = cached.updatedAt || null;
+    }
+
+    saveCache() {
+        Storage.set(this.cacheKey, {
+            forecast: this.weatherCache,
+            stations: this.stations,
+            fetchedAt: this.lastFetchTime,
+            updatedAt: this.updatedAt
+        });
+    }
+
+    isStale() {
+        return this.refreshFailed || (Date.now() - this.lastFetchTime) >= CONFIG.WEATHER_CACHE_TIME;
+    }
+
+    /**
+     * Fetch weather, sharing one request between concurrent callers
+     */
+    fetchWeather() {
+        if (!this.pendingFetch) {
+            this.pendingFetch = this.loadWeather().finally(() => {
+                this.pendingFetch = null;
+            });
+        }
+        return this.pendingFetch;
+    }
+
+    /**
+     * Forecast data, fetched only if the cache is empty or expired
+     */
+    async getForecast() {
+        if (!this.weatherCache || (Date.now() - this.lastFetchTime) >= CONFIG.WEATHER_CACHE_TIME) {
+            await this.fetchWeather();
+        }
+        return this.weatherCache;
+    }
+
+    /**
+     * Forecast for a given calendar date, if NEA covers it
+     */
+    async getForecastForDate(date) {
+        const forecast = await this.getForecast();
+        const dateKey = toDateKey(date);
+        return forecast?.find(day => day.dateKey === dateKey) || null;
+    }
+
+    /**
+     * Fetch 4-day weather forecast from NEA API
+     */
+    async loadWeather() {
+        try {
+            // Check cache
+            const now = Date.now();
+            if (this.weatherCache && (now - this.lastFetchTime) < CONFIG.WEATHER_CACHE_TIME) {
+                console.log('Using cached weather data');
+                this.publishWeather();
+                return;
+            }
+
+            console.log(`Fetching weather data (${this.provider.name})...`);
+            
+            // Fetch 4-day forecast and station readings from the provider
+            const [data, stations] = await Promise.all([
+                this.provider.getForecast(),
+                this.fetchStationReadings()
+            ]);
+            
+            // Parse NEA API response
+            const weatherData = this.parseNEAResponse(data);
+            
+            // Cache the data
+            this.weatherCache = weatherData;
+            this.stations = stations;
+            this.lastFetchTime = now;
+            this.updatedAt = data.items?.[0]?.update_timestamp || null;
+            this.refreshFailed = false;
+            this.saveCache();
+            
+            this.publishWeather();
+            announceToScreenReader(t('weather.refreshed'));
+        } catch (err) {
+            console.error('Weather fetch error:', err);
+            announceToScreenReader(t('weather.failed'));
+            this.refreshFailed = true;
+            
+            // Fall back to cached data, or say plainly that there is none
+            if (this.weatherCache) {
+                this.publishWeather();
+            } else {
+                this.renderWeatherFallback();
+            }
+        }
+    }
+
+    /**
+     * Fetch air temperature and humidity station readings.
+     * Failures are logged and yield no stations so the forecast still renders.
+     */
+    async fetchStationReadings() {
+        const [temperature, humidity] = await Promise.allSettled([
+            this.provider.getTemperature(),
+            this.provider.getHumidity()
+        ]);
+
+        [temperature, humidity]
+            .filter(result => result.status === 'rejected')
+            .forEach(result => console.warn('Station readings unavailable:', result.reason));
+
+        return this.parseStationReadings(temperature.value, humidity.value);
+    }
+
+    /**
+     * Merge NEA station metadata and latest readings into
+     * [{ id, name, lat, lng, temperature, humidity }]
+     */
+    parseStationReadings(temperatureData, humidityData) {
+        const stations = new Map();
+
+        const addReadings = (data, field) => {
+            data?.metadata?.stations?.forEach(station => {
+                if (!stations.has(station.id)) {
+                    stations.set(station.id, {
+                        id: station.id,
+                        name: station.name,
+                        lat: station.location.latitude,
+                        lng: station.location.longitude,
+                        temperature: null,
+                        humidity: null
+                    });
+                }
+            });
+
+            data?.items?.[0]?.readings?.forEach(reading => {
+                const station = stations.get(reading.station_id);
+                if (station) station[field] = reading.value;
+            });
+        };
+
+        addReadings(temperatureData, 'temperature');
+        addReadings(humidityData, 'humidity');
+
+        return [...stations.values()];
+    }
+
+    /**
+     * Nearest station to a point that has a reading for the given field
+     */
+    findNearestStation(point, field) {
+        let nearest = null;
+        let nearestDistance = Infinity;
+
+        this.stations.forEach(station => {
+            if (station[field] === null) return;
+            const distance = distanceKm(point, station);
+            if (distance < nearestDistance) {
+                nearest = station;
+                nearestDistance = distance;
+            }
+        });
+
+        return nearest;
+    }
+
+    /**
+     * Suitability score for a cleanup site, using the forecast for its date and the
+     * latest readings from the nearest stations. Null when NEA has no forecast for that day.
+     */
+    getCleanupSuitability(cleanup) {
+        const dateKey = toDateKey(parseEventDateTime(cleanup.date, cleanup.time));
+        const forecast = this.weatherCache?.find(day => day.dateKey === dateKey);
+        if (!forecast) return null;
+
+        const site = { lat: cleanup.lat, lng: cleanup.lng };
+        const temperatureStation = this.findNearestStation(site, 'temperature');
+        const humidityStation = this.findNearestStation(site, 'humidity');
+
+        return {
+            ...scoreCleanupConditions({
+                condition: forecast.condition,
+                temperature: temperatureStation?.temperature ?? null,
+                humidity: humidityStation?.humidity ?? null
+            }),
+            station: temperatureStation?.name || null
+        };
+    }
+
+    /**
+     * Suitability score for a forecast day from that day's own forecast ranges. The
+     * afternoon high usually comes with the day's lowest humidity, so those are paired.
+     */
+    getDaySuitability(weather) {
+        return scoreCleanupConditions({
+            condition: weather.condition,
+            temperature: weather.temperature?.high ?? null,
+            humidity: weather.humidity?.low ?? null
+        });
+    }
+
+    /**
+     * Share the forecast through the store; rendering and scoring follow from subscriptions
+     */
+    publishWeather() {
+        this.actions.setWeather({
+            forecast: this.weatherCache,
+            updatedAt: this.updatedAt,
+            stale: this.isStale()
+        });
+    }
+
+    /**
+     * Score every cleanup against the current forecast
+     */
+    updateCleanupSuitability() {
+        if (!this.weatherCache) return;
+
+        const scores = {};
+        this.store.getState().cleanups.forEach(cleanup => {
+            scores[cleanup.id] = this.getCleanupSuitability(cleanup);
+        });
+        this.actions.setSuitability(scores);
+    }
+
+    /**
+     * Parse NEA API response for 4-day forecast
+     * API returns forecast for multiple areas
+     */
+    parseNEAResponse(data) {
+        const forecast = data?.items?.[0];
+        if (!forecast?.forecasts?.length) {
+            throw new Error('NEA response has no forecast data');
+        }
+
+        // Map NEA forecast days to user-friendly format
+        const weatherData = forecast.forecasts.slice(0, 4).map((dayForecast, index) => {
+            const forecastDate = this.getForecastDate(dayForecast, index);
+
+            return {
+                dateKey: toDateKey(forecastDate),
+                day: this.formatDay(forecastDate),
+                date: this.formatDate(forecastDate),
+                condition: this.mapWeatherCondition(dayForecast.forecast),
+                forecast: dayForecast.forecast,
+                emoji: this.getWeatherEmoji(dayForecast.forecast),
+                temperature: this.parseRange(dayForecast.temperature),
+                humidity: this.parseRange(dayForecast.relative_humidity),
+                wind: dayForecast.wind ? {
+                    ...this.parseRange(dayForecast.wind.speed),
+                    direction: dayForecast.wind.direction || ''
+                } : null
+            };
+        });
+
+        return weatherData;
+    }
+
+    /**
+     * Date a forecast entry is for. NEA gives 'date' (YYYY-MM-DD) and 'timestamp';
+     * older responses without either fall back to today + index.
+     */
+    getForecastDate(dayForecast, index) {
+        if (dayForecast.date) return parseEventDateTime(dayForecast.date);
+        if (dayForecast.timestamp) return new Date(dayForecast.timestamp);
+
+        const forecastDate = new Date();
+        forecastDate.setDate(forecastDate.getDate() + index);
+        return forecastDate;
+    }
+
+    /**
+     * Normalise an NEA { low, high } range, or null if missing
+     */
+    parseRange(range) {
+        if (!range || range.low === undefined || range.high === undefined) return null;
+        return { low: range.low, high: range.high };
+    }
+
+    /**
+     * Map NEA forecast text to user-friendly condition
+     */
+    mapWeatherCondition(forecast) {
+        const text = forecast.toLowerCase();
+        
+        // Wet weather first: NEA mixes it into fair and cloudy forecasts, e.g.
+        // "Partly Cloudy with Thundery Showers", and it's what scoring and alerts need
+        if (text.includes('thunder') || text.includes('storm')) return 'Thundery';
+        if (text.includes('showers')) return 'Showers';
+        if (text.includes('rain')) return 'Rainy';
+        if (text.includes('sunny') || text.includes('fine')) return 'Sunny';
+        // "Fair", "Fair and warm", "Fair (Day)": NEA's most common forecasts
+        if (text.includes('fair')) return text.includes('warm') ? 'Fair and Warm' : 'Fair';
+        if (text.includes('partly')) return 'Partly Cloudy';
+        if (text.includes('cloudy') || text.includes('overcast')) return 'Cloudy';
+        if (text.includes('wind')) return 'Windy';
+        if (text.includes('haz')) return 'Hazy';
+        if (text.includes('mist')) return 'Misty';
+        if (text.includes('fog')) return 'Foggy';
+        
+        return forecast;
+    }
+
+    /**
+     * Get emoji for weather condition
+     */
+    getWeatherEmoji(forecast) {
+        const text = forecast.toLowerCase();
+        
+        if (text.includes('thunder') || text.includes('storm')) return '⛈️';
+        if (text.includes('showers')) return '🌧️';
+        if (text.includes('rain')) return '🌧️';
+        if (text.includes('sunny') || text.includes('fine')) return '☀️';
+        if (text.includes('fair')) return '🌤️';
+        if (text.includes('partly')) return '⛅';
+        if (text.includes('cloudy') || text.includes('overcast')) return '☁️';
+        if (text.includes('wind')) return '💨';
+        if (text.includes('haz') || text.includes('mist') || text.includes('fog')) return '🌫️';
+        
+        return '🌤️';
+    }
+
+    /**
+     * Format date to day name
+     */
+    formatDay(date) {
+        const today = new Date();
+        const tomorrow = new Date(today);
+        tomorrow.setDate(tomorrow.getDate() + 1);
+
+        if (date.toDateString() === today.toDateString()) {
+            return t('weather.today');
+        } else if (date.toDateString() === tomorrow.toDateString()) {
+            return t('weather.tomorrow');
+        } else {
+            return I18n.formatDate(date, { weekday: 'short' });
+        }
+    }
+
+    formatDate(date) {
+        return I18n.formatDate(date, { month: 'short', day: 'numeric' });
+    }
+
+    /**
+     * Render 4-day weather forecast
+     */
+    renderWeather(data) {
+        if (!this.weatherGrid) return;
+
+        const days = this.getCurrentDays(data);
+
+        renderList(this.weatherGrid, days, {
+            key: weather => weather.dateKey || weather.date,
+            render: weather => this.renderWeatherCard(weather)
+        });
+
+        this.renderUpdatedStatus();
+        console.log('Weather cards rendered successfully');
+    }
+
+    renderWeatherCard(weather) {
+        const suitability = this.getDaySuitability(weather);
+        const forecastText = formatForecastText(weather);
+
+        return html`
+            <div class="weather-card" role="region" aria-label="${t('weather.cardLabel', { day: weather.day })}">
+                <h4>${weather.day}</h4>
+                <p class="weather-date">${weather.date}</p>
+                <div class="weather-emoji" aria-hidden="true">${weather.emoji}</div>
+                <p class="weather-condition"><strong>${formatCondition(weather.condition)}</strong></p>
+                ${forecastText && html`<p class="weather-forecast">${forecastText}</p>`}
+                ${this.renderRanges(weather)}
+                ${this.renderTides(weather)}
+                <p class="suitability suitability-${suitability.level}" title="${suitability.risks.length ? I18n.formatList(suitability.risks) : t('weather.noRisks')}">
+                    ${t('weather.score', { score: suitability.score, label: suitability.label })}
+                </p>
+            </div>
+        `;
+    }
+
+    /**
+     * Drop days that have already passed and refresh Today/Tomorrow and date labels,
+     * so a forecast restored from storage still reads correctly in the current language
+     */
+    getCurrentDays(data) {
+        const todayKey = toDateKey(new Date());
+
+        return data
+            .filter(weather => !weather.dateKey || weather.dateKey >= todayKey)
+            .map(weather => {
+                if (!weather.dateKey) return weather;
+                const date = parseEventDateTime(weather.dateKey);
+                return { ...weather, day: this.formatDay(date), date: this.formatDate(date) };
+            });
+    }
+
+    renderRanges(weather) {
+        const ranges = [];
+
+        if (weather.temperature) {
+            ranges.push(t('weather.temperature', weather.temperature));
+        }
+        if (weather.humidity) {
+            ranges.push(t('weather.humidity', weather.humidity));
+        }
+        if (weather.wind) {
+            ranges.push(t('weather.wind', weather.wind).trim());
+        }
+
+        if (ranges.length === 0) return '';
+        return html`<p class="weather-ranges">${ranges.map((range, i) => html`${i > 0 && html`<br>`}${range}`)}</p>`;
+    }
+
+    /**
+     * Next low and high tide that day at the reference station, in time order
+     */
+    renderTides(weather) {
+        const { tides } = this.store.getState();
+        if (!tides || !weather.dateKey) return '';
+        if (!hasTidesFor(tides, weather.dateKey)) {
+            return html`<p class="weather-tides tide-note">${t('tides.notCovered')}</p>`;
+        }
+
+        const station = tides.stations.find(item => item.id === CONFIG.TIDES.STATION) || tides.stations[0];
+        if (!station) return '';
+
+        const dayStart = parseEventDateTime(weather.dateKey);
+        const dayEnd = new Date(dayStart);
+        dayEnd.setDate(dayEnd.getDate() + 1);
+
+        const { low, high } = getNextTides(station, new Date(Math.max(dayStart, Date.now())), dayEnd);
+        const next = [low, high].filter(Boolean).sort((a, b) => a.time - b.time);
+        if (next.length === 0) return '';
+
+        return html`
+            <p class="weather-tides">
+                <strong>${t('tides.station', { station: station.name })}</strong>
+                ${next.map(tide => html`<br>${t(`tides.${tide.type}`, formatTideParams(tide))}`)}
+                <br><span class="tide-source">${formatTideSource(tides)}</span>
+            </p>
+        `;
+    }
+
+    /**
+     * Show when NEA last updated the forecast and whether it's stale
+     */
+    renderUpdatedStatus() {
+        if (!this.weatherUpdated) return;
+
+        if (!this.updatedAt) {
+            this.weatherUpdated.textContent = '';
+            this.weatherUpdated.classList.remove('stale');
+            return;
+        }
+
+        const updated = I18n.formatDate(new Date(this.updatedAt), {
+            weekday: 'short',
+            day: 'numeric',
+            month: 'short',
+            hour: 'numeric',
+            minute: '2-digit'
+        });
+        const stale = this.isStale();
+
+        this.weatherUpdated.textContent = t(stale ? 'weather.stale' : 'weather.updated', { time: updated });
+        this.weatherUpdated.classList.toggle('stale', stale);
+    }
+
+    /**
+     * Render weather fallback UI
+     */
+    renderWeatherFallback() {
+        if (!this.weatherGrid) return;
+
+        renderInto(this.weatherGrid, html`
+            <div class="weather-card weather-fallback">
+                <p>${t('weather.unavailable')}</p>
+            </div>
+        `);
+    }
+
+    init() {
+        this.store.subscribe(['weather'], ({ weather }) => {
+            this.renderWeather(weather.forecast);
+            this.updateCleanupSuitability();
+        });
+        this.store.subscribe(['cleanups'], () => this.updateCleanupSuitability());
+        this.store.subscribe(['tides'], ({ weather }) => {
+            if (weather.forecast) this.renderWeather(weather.forecast);
+        });
+        this.store.subscribe(['language'], ({ weather }) => {
+            if (weather.forecast) {
+                this.renderWeather(weather.forecast);
+                this.updateCleanupSuitability();
+            } else if (this.refreshFailed) {
+                this.renderWeatherFallback();
+            }
+        });
+
+        // Stale-while-revalidate: show the saved forecast now, refresh in the background
+        if (this.weatherCache) this.publishWeather();
+
+        this.fetchWeather();
+        
+        // Refresh weather every 10 minutes
+        setInterval(() => this.fetchWeather(), CONFIG.WEATHER_CACHE_TIME);
+    }
+}
+
+// ============================================
+// TIDES
+// ============================================
+
+/**
+ * Tide predictions in CONFIG.TIDES.FILE look like
+ * { source, approximate, stations: [{ id, name, lat, lng, days: { 'YYYY-MM-DD': [['HH:MM', metres, 'H' | 'L'], ...] } }] }
+ * with times in local time, the same as cleanup times. approximate: true marks estimates
+ * rather than published tables, and is said next to every tide shown.
+ */
+
+// Warn in the console when the tide tables run out sooner than this
+const TIDE_TABLE_WARN_DAYS = 60;
+
+/**
+ * Whether the loaded tables cover a date key. Past the last day, tides are reported
+ * as unavailable rather than silently left out.
+ */
+function hasTidesFor(tides, dateKey) {
+    return Boolean(tides) && dateKey >= tides.firstDate && dateKey <= tides.lastDate;
+}
+
+/**
+ * Where the tides come from, shown with them
+ */
+function formatTideSource(tides) {
+    return tides.approximate ? t('tides.approximate') : t('tides.source', { source: tides.source });
+}
+
+/**
+ * Tide station nearest a { lat, lng } point
+ */
+function findNearestTideStation(stations, point) {
+    let nearest = null;
+    let nearestDistance = Infinity;
+
+    stations?.forEach(station => {
+        const distance = distanceKm(point, station);
+        if (distance < nearestDistance) {
+            nearest = station;
+            nearestDistance = distance;
+        }
+    });
+
+    return nearest;
+}
+
+/**
+ * High and low tides at a station between two Dates, as [{ time, height, type }]
+ */
+function getTides(station, from, to) {
+    const tides = [];
+    const day = parseEventDateTime(toDateKey(from));
+
+    while (day <= to) {
+        const dateKey = toDateKey(day);
+        (station.days[dateKey] || []).forEach(([time, height, type]) => {
+            const [hours, minutes] = time.split(':').map(Number);
+            const date = parseEventDateTime(dateKey);
+            date.setHours(hours, minutes);
+
+            if (date >= from && date <= to) {
+                tides.push({ time: date, height, type: type === 'H' ? 'high' : 'low' });
+            }
+        });
+        day.setDate(day.getDate() + 1);
+    }
+
+    return tides;
+}
+
+/**
+ * The first low and first high tide between two Dates; either may be missing
+ */
+function getNextTides(station, from, to) {
+    const tides = getTides(station, from, to);
+    return {
+        low: tides.find(tide => tide.type === 'low') || null,
+        high: tides.find(tide => tide.type === 'high') || null
+    };
+}
+
+/**
+ * The high tide closest to a start time, if one falls within CONFIG.TIDES.HIGH_TIDE_WINDOW
+ */
+function findHighTideNear(station, start, window = CONFIG.TIDES.HIGH_TIDE_WINDOW) {
+    const from = new Date(start.getTime() - window);
+    const to = new Date(start.getTime() + window);
+    const distance = tide => Math.abs(tide.time - start);
+
+    return getTides(station, from, to)
+        .filter(tide => tide.type === 'high')
+        .sort((a, b) => distance(a) - distance(b))[0] || null;
+}
+
+function formatTideParams(tide) {
+    return {
+        time: I18n.formatDate(tide.time, { hour: 'numeric', minute: '2-digit' }),
+        height: I18n.formatNumber(tide.height, { minimumFractionDigits: 1, maximumFractionDigits: 1 })
+    };
+}
+
+/**
+ * Loads the tide tables into the store as { stations, source, approximate, firstDate, lastDate };
+ * without them tide details are left out
+ */
+class TideManager {
+    constructor({ actions }) {
+        this.actions = actions;
+        this.init();
+    }
+
+    async init() {
+        try {
+            const response = await fetch(CONFIG.TIDES.FILE);
+            if (!response.ok) throw new Error(`Tide table load error: ${response.status}`);
+            const data = await response.json();
+            const dates = data.stations.flatMap(station => Object.keys(station.days)).sort();
+
+            this.actions.setTides({
+                stations: data.stations,
+                source: data.source || '',
+                approximate: Boolean(data.approximate),
+                firstDate: dates[0],
+                lastDate: dates[dates.length - 1]
+            });
+            this.checkCoverage(dates[dates.length - 1]);
+        } catch (err) {
+            console.warn('Tide predictions unavailable:', err);
+        }
+    }
+
+    /**
+     * Tide tables are published a year at a time; say when this one needs replacing
+     */
+    checkCoverage(lastDate) {
+        const horizon = new Date();
+        horizon.setDate(horizon.getDate() + TIDE_TABLE_WARN_DAYS);
+
+        if (!lastDate || lastDate < toDateKey(horizon)) {
+            console.warn(`Tide predictions end on ${lastDate || 'an unknown date'}; update ${CONFIG.TIDES.FILE}`);
+        }
+    }
+}
+
+// ============================================
+// REMINDERS & FORECAST ALERTS
+// ============================================
+
+const HOUR_MS = 3600000;
+
+// Notifications already shown are remembered this long, so reloads don't repeat them
+const REMINDER_LOG_TTL = 7 * 24 * HOUR_MS;
+
+/**
+ * Opt-in notifications for cleanups you've RSVP'd to: reminders at the chosen
+ * times before they start, and an alert when a refreshed forecast for the day
+ * switches to one of ALERT_CONDITIONS. Checks only run while the app is open,
+ * so a reminder missed while it was closed is sent late, on the next check.
+ */
+class ReminderManager {
+    constructor({ store, actions, cleanupManager }) {
+        this.store = store;
+        this.actions = actions;
+        this.cleanupManager = cleanupManager;
+        this.modal = document.getElementById('reminders-modal');
+        this.openBtn = document.getElementById('reminders-btn');
+        this.form = document.getElementById('reminders-form');
+        this.options = document.getElementById('reminder-options');
+        this.timing = document.getElementById('reminder-timing');
+        this.error = document.getElementById('reminders-error');
+        this.status = document.getElementById('reminders-status');
+        this.closeBtn = this.modal?.querySelector('.modal-close');
+        this.sent = Storage.get('reminders_sent', {});
+        this.init();
+    }
+
+    get settings() {
+        return this.store.getState().reminders;
+    }
+
+    get isSupported() {
+        return 'Notification' in window;
+    }
+
+    canNotify() {
+        return this.settings.enabled && this.isSupported && Notification.permission === 'granted';
+    }
+
+    init() {
+        this.pruneLog();
+
+        if (this.modal) {
+            addListener(this.openBtn, 'click', () => this.openPanel());
+            addListener(this.closeBtn, 'click', () => this.closePanel());
+            addListener(this.modal, 'click', (e) => {
+                if (e.target === this.modal) this.closePanel();
+            });
+            addListener(this.modal, 'cancel', (e) => {
+                e.preventDefault();
+                this.closePanel();
+            });
+            addListener(this.form, 'change', (e) => this.handleChange(e.target));
+
+            this.renderTimingOptions();
+            this.syncForm();
+            this.store.subscribe(['reminders'], () => this.syncForm());
+            this.store.subscribe(['language'], () => {
+                this.renderTimingOptions();
+                this.syncForm();
+            });
+        }
+
+        this.store.subscribe(['rsvps', 'cleanups', 'reminders'], () => this.checkReminders());
+        this.store.subscribe(['weather'], (state, prevState) => {
+            this.checkForecast(prevState.weather.forecast, state.weather.forecast);
+        });
+
+        this.checkReminders();
+        setInterval(() => this.checkReminders(), CONFIG.REMINDER_CHECK_INTERVAL);
+    }
+
+    openPanel() {
+        this.showMessage(this.isSupported ? '' : t('reminders.unsupported'), true);
+        this.syncForm();
+
+        openDialog(this.modal, { title: t('reminders.title') });
+    }
+
+    closePanel() {
+        closeDialog(this.modal);
+    }
+
+    /**
+     * Show a status message, or an error when isError is set
+     */
+    showMessage(message, isError = false) {
+        if (this.error) this.error.textContent = isError ? message : '';
+        if (this.status) this.status.textContent = isError ? '' : message;
+        if (message) announceToScreenReader(message, isError ? 'assertive' : 'polite');
+    }
+
+    renderTimingOptions() {
+        renderInto(this.timing, REMINDER_OPTIONS.map(hours => html`
+            <label><input type="checkbox" name="hoursBefore" value="${hours}"> ${t('reminders.hoursBefore', { count: hours })}</label>
+        `));
+    }
+
+    /**
+     * Reflect saved settings in the form; options stay disabled until notifications are on
+     */
+    syncForm() {
+        if (!this.form) return;
+
+        const { enabled, hoursBefore, forecastAlerts } = this.settings;
+        const elements = this.form.elements;
+        const active = enabled && this.isSupported;
+
+        elements.enabled.checked = active;
+        elements.enabled.disabled = !this.isSupported;
+        elements.forecastAlerts.checked = forecastAlerts;
+        elements.forecastAlerts.disabled = !active;
+        this.options.disabled = !active;
+        this.timing.querySelectorAll('input').forEach(input => {
+            input.checked = hoursBefore.includes(Number(input.value));
+        });
+    }
+
+    async handleChange(input) {
+        if (input.name === 'enabled') {
+            await this.setEnabled(input.checked);
+            return;
+        }
+
+        if (input.name === 'hoursBefore') {
+            const hoursBefore = [...this.timing.querySelectorAll('input:checked')].map(item => Number(item.value));
+            this.actions.setReminders({ hoursBefore });
+        } else if (input.name === 'forecastAlerts') {
+            this.actions.setReminders({ forecastAlerts: input.checked });
+        }
+        this.showMessage(t('reminders.saved'));
+    }
+
+    /**
+     * Turning notifications on asks for permission first, so it has to come from a user action
+     */
+    async setEnabled(enabled) {
+        if (enabled) {
+            const permission = this.isSupported ? await Notification.requestPermission() : 'denied';
+            if (permission !== 'granted') {
+                this.actions.setReminders({ enabled: false });
+                this.syncForm();
+                this.showMessage(t(this.isSupported ? 'reminders.denied' : 'reminders.unsupported'), true);
+                return;
+            }
+        }
+
+        this.actions.setReminders({ enabled });
+        this.showMessage(t(enabled ? 'reminders.enabled' : 'reminders.disabled'));
+    }
+
+    /**
+     * Upcoming cleanups you're going to or waitlisted for, minus muted and cancelled ones
+     */
+    getWatchedCleanups(now = Date.now()) {
+        const { muted } = this.settings;
+
+        return this.store.getState().cleanups.filter(cleanup =>
+            !muted.includes(cleanup.id) &&
+            !cleanup.cancelled &&
+            this.cleanupManager.rsvps.getState(cleanup).status !== 'none' &&
+            parseEventDateTime(cleanup.date, cleanup.time).getTime() > now
+        );
+    }
+
+    /**
+     * Send the latest reminder that's due for each watched cleanup. Earlier ones
+     * that were missed are marked as sent too, so a late check sends one, not several.
+     */
+    checkReminders(now = Date.now()) {
+        if (!this.canNotify()) return;
+
+        this.getWatchedCleanups(now).forEach(cleanup => {
+            const start = parseEventDateTime(cleanup.date, cleanup.time).getTime();
+            const due = this.settings.hoursBefore
+                .filter(hours => now >= start - hours * HOUR_MS)
+                .sort((a, b) => a - b);
+            if (due.length === 0) return;
+
+            const tags = due.map(hours => `reminder-${cleanup.id}-${hours}h`);
+            if (this.sent[tags[0]]) return;
+
+            tags.forEach(tag => this.logSent(tag, now));
+            this.showReminder(cleanup, start - now, tags[0]);
+        });
+    }
+
+    showReminder(cleanup, timeLeft, tag) {
+        const state = this.cleanupManager.rsvps.getState(cleanup);
+        const minutes = Math.max(Math.round(timeLeft / 60000), 1);
+        const when = minutes < 60
+            ? I18n.formatRelative(minutes, 'minute')
+            : I18n.formatRelative(Math.round(minutes / 60), 'hour');
+        const details = {
+            date: this.cleanupManager.formatEventDate(cleanup),
+            location: cleanup.location,
+            position: state.position
+        };
+
+        this.notify(cleanup, tag, t('notify.reminderTitle', { name: cleanup.name, when }),
+            t(state.status === 'waitlisted' ? 'notify.reminderWaitlisted' : 'notify.reminderBody', details));
+    }
+
+    /**
+     * Compare a refreshed forecast with the one it replaces. The first forecast
+     * after a page load (from the cache or a cold fetch) only sets the baseline.
+     */
+    checkForecast(previous, forecast) {
+        if (!previous || !forecast || previous === forecast) return;
+        if (!this.canNotify() || !this.settings.forecastAlerts) return;
+
+        this.getWatchedCleanups().forEach(cleanup => {
+            const date = parseEventDateTime(cleanup.date, cleanup.time);
+            const dateKey = toDateKey(date);
+            const before = previous.find(day => day.dateKey === dateKey);
+            const after = forecast.find(day => day.dateKey === dateKey);
+
+            if (!after || !ALERT_CONDITIONS.includes(after.condition)) return;
+            if (before?.condition === after.condition) return;
+
+            const tag = `alert-${cleanup.id}-${dateKey}-${after.condition}`;
+            if (this.sent[tag]) return;
+
+            this.logSent(tag);
+            this.notify(cleanup, tag, t('notify.alertTitle', { name: cleanup.name }), t('notify.alertBody', {
+                condition: formatCondition(after.condition),
+                date: I18n.formatDate(date, { weekday: 'long', month: 'long', day: 'numeric' })
+            }));
+        });
+    }
+
+    logSent(tag, now = Date.now()) {
+        this.sent = { ...this.sent, [tag]: now };
+        Storage.set('reminders_sent', this.sent);
+    }
+
+    pruneLog(now = Date.now()) {
+        const kept = Object.entries(this.sent).filter(([, sentAt]) => now - sentAt < REMINDER_LOG_TTL);
+        if (kept.length === Object.keys(this.sent).length) return;
+
+        this.sent = Object.fromEntries(kept);
+        Storage.set('reminders_sent', this.sent);
+    }
+
+    /**
+     * Show a notification that opens the cleanup when clicked. Mobile browsers only
+     * allow notifications from the service worker; sw.js handles the click there.
+     */
+    async notify(cleanup, tag, title, body) {
+        const url = this.cleanupManager.getCleanupUrl(cleanup);
+        const options = { body, tag, icon: 'assets/icon.svg', data: { url } };
+
+        try {
+            const registration = await navigator.serviceWorker?.getRegistration();
+            if (registration?.active) {
+                await registration.showNotification(title, options);
+                return;
+            }
+
+            const notification = new Notification(title, options);
+            notification.onclick = () => {
+                window.focus();
+                window.location.assign(url);
+                notification.close();
+            };
+        } catch (err) {
+            console.warn('Notification not shown:', err);
+        }
+    }
+}
+
+// ============================================
+// SMOOTH SCROLL NAVIGATION
+// ============================================
+
+class SmoothScroll {
+    constructor() {
+        this.init();
+    }
+
+    init() {
+        document.querySelectorAll('a[href^="#"]').forEach(link => {
+            addListener(link, 'click', (e) => this.handleScroll(e));
+        });
+    }
+
+    handleScroll(e) {
+        const href = e.currentTarget.getAttribute('href');
+        // Routes like #/cleanups/1 are handled by the Router
+        if (href && href !== '#' && !href.startsWith('#/')) {
+            const target = document.querySelector(href);
+            if (target) {
+                e.preventDefault();
+                target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+                announceToScreenReader(t('nav.navigated', { section: href }));
+            }
+        }
+    }
+}
+
+// ============================================
+// HASH ROUTER
+// ============================================
+
+class Router {
+    constructor({ store, cleanupManager, weatherManager, attendanceManager }) {
+        this.store = store;
+        this.cleanupManager = cleanupManager;
+        this.weatherManager = weatherManager;
+        this.attendanceManager = attendanceManager;
+        this.main = document.getElementById('main-content');
+        this.detailView = document.getElementById('cleanup-detail');
+        this.currentCleanupId = null;
+        // Outcome of the last scan as { id, result }, kept so re-renders don't lose the confirmation code
+        this.checkInResult = null;
+
+        // Checked in order; the first match wins
+        this.routes = [
+            { pattern: /^\/checkin\/([\w-]+)\/([0-9a-z]+)\/([0-9a-z]+)$/, handler: (id, start, code) => this.checkIn(id, start, code) },
+            { pattern: /^\/cleanups\/([\w-]+)$/, handler: (id) => this.showCleanup(id) },
+            { pattern: /^\/(map|weather|cleanups|crew)$/, handler: (section) => this.showSection(section) },
+            { pattern: /^\/?$/, handler: () => this.showHome() }
+        ];
+
+        this.init();
+    }
+
+    init() {
+        addListener(window, 'hashchange', () => this.resolve());
+        this.resolve();
+
+        this.store.subscribe(['cleanups', 'roster', 'profile', 'attendance', 'tides', 'language'], () => {
+            if (this.currentCleanupId !== null && !this.detailView.hidden) {
+                this.renderDetail(this.cleanupManager.getCleanup(this.currentCleanupId));
+            }
+        });
+    }
+
+    navigate(path) {
+        window.location.hash = path;
+    }
+
+    /**
+     * Run the handler for the current hash
+     */
+    resolve() {
+        const path = window.location.hash.slice(1);
+
+        // Plain anchors like #main-content are left to the browser
+        if (path && !path.startsWith('/')) {
+            this.hideDetail();
+            return;
+        }
+
+        for (const route of this.routes) {
+            const match = route.pattern.exec(path);
+            if (match) {
+                route.handler(...match.slice(1));
+                return;
+            }
+        }
+
+        console.warn(`No route for ${path}`);
+        this.showHome();
+    }
+
+    showHome() {
+        const wasDetail = this.hideDetail();
+        if (wasDetail) {
+            window.scrollTo({ top: 0, behavior: 'smooth' });
+            announceToScreenReader(t('nav.home.announce'));
+        }
+    }
+
+    showSection(section) {
+        this.hideDetail();
+
+        const target = document.getElementById(section);
+        if (target) {
+            target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            announceToScreenReader(t('nav.navigated', { section: t(`nav.${section}`) }));
+        }
+    }
+
+    async showCleanup(id) {
+        if (!this.detailView || !this.cleanupManager) return;
+
+        const cleanup = this.cleanupManager.getCleanup(id);
+        this.currentCleanupId = id;
+        if (this.checkInResult?.id !== id) this.checkInResult = null;
+
+        const weatherLoaded = this.renderDetail(cleanup);
+        this.detailView.hidden = false;
+        this.main?.classList.add('detail-view');
+        window.scrollTo({ top: 0 });
+
+        this.detailView.querySelector('#cleanup-detail-title')?.focus();
+        announceToScreenReader(cleanup ? t('detail.showing', { name: cleanup.name }) : t('detail.notFound'));
+
+        await weatherLoaded;
+    }
+
+    /**
+     * A scanned check-in link: record it, then show the cleanup with the outcome. The
+     * check-in URL is swapped for the cleanup's so going back doesn't repeat it.
+     * Phones that don't have the cleanup just get the outcome.
+     */
+    async checkIn(id, start, code) {
+        if (!this.detailView || !this.attendanceManager) return;
+
+        const result = this.attendanceManager.checkIn(id, start, code);
+
+        if (!this.cleanupManager.getCleanup(id)) {
+            history.replaceState(null, '', '#/cleanups');
+            this.currentCleanupId = null;
+            this.checkInResult = null;
+            renderInto(this.detailView, html`
+                <a href="#/cleanups" class="detail-back">${t('detail.back')}</a>
+                <div class="cleanup-detail">
+                    <h2 id="cleanup-detail-title" tabindex="-1">${t('checkin.title')}</h2>
+                    ${this.attendanceManager.renderCheckInResult(result)}
+                </div>
+            `);
+            this.detailView.hidden = false;
+            this.main?.classList.add('detail-view');
+            window.scrollTo({ top: 0 });
+            this.detailView.querySelector('#cleanup-detail-title')?.focus();
+            return;
+        }
+
+        history.replaceState(null, '', `#/cleanups/${id}`);
+        this.checkInResult = { id, result };
+        await this.showCleanup(id);
+    }
+
+    /**
+     * Render the detail view, then fill in weather once the forecast is available
+     */
+    async renderDetail(cleanup) {
+        const id = this.currentCleanupId;
+        const notice = this.checkInResult?.id === id ? this.attendanceManager.renderCheckInResult(this.checkInResult.result) : '';
+        renderInto(this.detailView, this.cleanupManager.renderDetail(cleanup, null, notice));
+
+        if (!cleanup || !this.weatherManager) return;
+
+        const forecast = await this.weatherManager.getForecastForDate(parseEventDateTime(cleanup.date, cleanup.time));
+        if (forecast && this.currentCleanupId === id && !this.detailView.hidden) {
+            const weather = this.detailView.querySelector('.cleanup-weather');
+            const updated = document.createElement('div');
+            renderInto(updated, this.cleanupManager.renderDetail(cleanup, forecast));
+            const fresh = updated.querySelector('.cleanup-weather');
+            if (weather && fresh) weather.replaceWith(fresh);
+        }
+    }
+
+    /**
+     * Hide the detail view; returns true if it was showing
+     */
+    hideDetail() {
+        if (!this.detailView || this.detailView.hidden) return false;
 
-    updateCrewDisplay(userData) {
-        const crewList = document.getElementById('crew-list');
-        if (crewList && crewList.querySelector('.crew-member')) {
-            const firstMember = crewList.querySelector('.crew-member .member-info h4');
-            if (firstMember) {
-                firstMember.textContent = userData.name;
-            }
-        }
+        this.detailView.hidden = true;
+        this.detailView.innerHTML = '';
+        this.main?.classList.remove('detail-view');
+        this.currentCleanupId = null;
+        this.checkInResult = null;
+        return true;
     }
 }
 
 // ============================================
-// FILTER MANAGEMENT
+// PERFORMANCE MONITORING
 // ============================================
 
-class FilterManager {
+// "Good" and "poor" boundaries from web.dev; values in between need improvement
+const VITALS_THRESHOLDS = {
+    LCP: [2500, 4000],
+    CLS: [0.1, 0.25],
+    INP: [200, 500],
+    TTFB: [800, 1800]
+};
+
+// Only the slowest few interactions can ever be the INP, so the rest are dropped
+const INP_CANDIDATES = 10;
+
+function rateVital(name, value) {
+    const [good, poor] = VITALS_THRESHOLDS[name];
+    if (value <= good) return 'good';
+    return value <= poor ? 'needs-improvement' : 'poor';
+}
+
+/**
+ * Collects LCP, CLS, INP and TTFB, tagged with the page section and connection type,
+ * and beacons them to CONFIG.PERFORMANCE.ENDPOINT, if one is set, in one batch whenever the page is hidden.
+ * ?debug=perf adds an on-page overlay with the live values.
+ */
+class PerformanceMonitor {
     constructor() {
-        this.filterButtons = document.querySelectorAll('.filter-btn');
+        this.metrics = {};
+        this.reported = {};
+        this.queue = [];
+
+        this.layoutShifts = { value: 0, entries: [] };
+        this.interactions = new Map();
+        this.interactionCount = 0;
+
+        this.overlay = null;
+        this.overlayFrame = null;
+
         this.init();
     }
 
     init() {
-        this.filterButtons.forEach(btn => {
-            addListener(btn, 'click', () => this.applyFilter(btn));
-        });
-    }
+        if (new URLSearchParams(window.location.search).get('debug') === 'perf') {
+            this.createOverlay();
+        }
 
-    applyFilter(button) {
-        // Update button states
-        this.filterButtons.forEach(btn => {
-            btn.classList.remove('active');
-            btn.setAttribute('aria-pressed', 'false');
-        });
-        
-        button.classList.add('active');
-        button.setAttribute('aria-pressed', 'true');
+        this.measureTTFB();
 
-        const filter = button.dataset.filter;
-        announceToScreenReader(`Filter applied: ${filter}`);
-        console.log(`Filter applied: ${filter}`);
-    }
-}
+        this.observe('largest-contentful-paint', (entries) => {
+            const entry = entries[entries.length - 1];
+            this.record('LCP', entry.startTime, entry.element);
+        });
 
-// ============================================
-// LAZY LOADING
-// ============================================
+        this.observe('layout-shift', (entries) => this.addLayoutShifts(entries));
 
-class LazyLoader {
-    constructor() {
-        if ('IntersectionObserver' in window) {
-            this.init();
-        }
-    }
+        // first-input catches a first interaction quicker than the event threshold
+        this.observe('event', (entries) => this.addInteractions(entries), { durationThreshold: 40 });
+        this.observe('first-input', (entries) => this.addInteractions(entries));
 
-    init() {
-        const observer = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    this.loadElement(entry.target);
-                    observer.unobserve(entry.target);
-                }
-            });
-        }, {
-            rootMargin: '50px'
+        // Hidden is the last point a page is reliably alive, so everything is sent then
+        addListener(document, 'visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.flush();
         });
-
-        // Observe images and other lazy-load candidates
-        document.querySelectorAll('[data-lazy]').forEach(el => observer.observe(el));
+        addListener(window, 'pagehide', () => this.flush());
     }
 
-    loadElement(element) {
-        if (element.dataset.src) {
-            element.src = element.dataset.src;
-            element.removeAttribute('data-lazy');
+    observe(type, callback, options = {}) {
+        if (!('PerformanceObserver' in window) || !PerformanceObserver.supportedEntryTypes?.includes(type)) {
+            return;
+        }
+
+        try {
+            new PerformanceObserver((list) => callback(list.getEntries()))
+                .observe({ type, buffered: true, ...options });
+        } catch (err) {
+            console.warn(`Could not observe ${type} entries:`, err);
         }
     }
-}
 
-// ============================================
-// WEATHER MANAGEMENT - NEA Singapore Weather API
-// ============================================
+    measureTTFB() {
+        const [navigation] = performance.getEntriesByType?.('navigation') || [];
+        if (!navigation) return;
 
-class WeatherManager {
-    constructor() {
-        this.weatherGrid = document.getElementById('weather-grid');
-        this.weatherCache = null;
-        this.lastFetchTime = 0;
-        this.loadWeatherData = debounce(() => this.fetchWeather(), CONFIG.DEBOUNCE_DELAY);
+        // Prerendered pages count from activation, not from when the prerender started
+        const value = Math.max(navigation.responseStart - (navigation.activationStart || 0), 0);
+        this.record('TTFB', value);
     }
 
     /**
-     * Fetch 4-day weather forecast from NEA API
+     * CLS is the largest burst of shifts, each under a second apart and five seconds at most
      */
-    async fetchWeather() {
-        try {
-            // Check cache
-            const now = Date.now();
-            if (this.weatherCache && (now - this.lastFetchTime) < CONFIG.WEATHER_CACHE_TIME) {
-                console.log('Using cached weather data');
-                this.renderWeather(this.weatherCache);
-                return;
-            }
+    addLayoutShifts(entries) {
+        entries.forEach(entry => {
+            if (entry.hadRecentInput) return;
 
-            console.log('Fetching NEA weather data...');
-            
-            // Fetch 4-day forecast from NEA API
-            const response = await fetch(CONFIG.API.WEATHER_FORECAST);
-            
-            if (!response.ok) {
-                throw new Error(`Weather API error: ${response.status}`);
-            }
+            const session = this.layoutShifts;
+            const first = session.entries[0];
+            const last = session.entries[session.entries.length - 1];
 
-            const data = await response.json();
-            
-            // Parse NEA API response
-            const weatherData = this.parseNEAResponse(data);
-            
-            // Cache the data
-            this.weatherCache = weatherData;
-            this.lastFetchTime = now;
-            
-            this.renderWeather(weatherData);
-            announceToScreenReader('Weather forecast updated');
-        } catch (err) {
-            console.error('Weather fetch error:', err);
-            announceToScreenReader('Could not load weather data. Showing cached data.');
-            
-            // Fall back to cached data or simulated data
-            if (this.weatherCache) {
-                this.renderWeather(this.weatherCache);
+            if (last && entry.startTime - last.startTime < 1000 && entry.startTime - first.startTime < 5000) {
+                session.value += entry.value;
+                session.entries.push(entry);
             } else {
-                this.renderWeatherFallback();
+                this.layoutShifts = { value: entry.value, entries: [entry] };
             }
-        }
+
+            if (this.layoutShifts.value > (this.metrics.CLS?.value || 0)) {
+                const largest = this.layoutShifts.entries.reduce((a, b) => (b.value > a.value ? b : a));
+                this.record('CLS', this.layoutShifts.value, largest.sources?.[0]?.node);
+            }
+        });
     }
 
     /**
-     * Parse NEA API response for 4-day forecast
-     * API returns forecast for multiple areas
+     * INP is the worst interaction, ignoring one outlier for every 50 interactions
      */
-    parseNEAResponse(data) {
-        try {
-            if (!data.items || data.items.length === 0) {
-                return this.getSimulatedWeather();
+    addInteractions(entries) {
+        entries.forEach(entry => {
+            if (!entry.interactionId) return;
+
+            const known = this.interactions.get(entry.interactionId);
+            if (!known) this.interactionCount++;
+            if (!known || entry.duration > known.duration) {
+                this.interactions.set(entry.interactionId, entry);
             }
+        });
 
-            const forecast = data.items[0];
-            
-            // Map NEA forecast days to user-friendly format
-            const weatherData = forecast.forecasts.slice(0, 4).map((dayForecast, index) => {
-                const forecastDate = new Date();
-                forecastDate.setDate(forecastDate.getDate() + index);
-                
-                return {
-                    day: this.formatDay(forecastDate),
-                    date: forecastDate.toLocaleDateString('en-SG', { month: 'short', day: 'numeric' }),
-                    condition: this.mapWeatherCondition(dayForecast.forecast),
-                    forecast: dayForecast.forecast,
-                    emoji: this.getWeatherEmoji(dayForecast.forecast)
-                };
-            });
-
-            return weatherData;
-        } catch (err) {
-            console.warn('Error parsing NEA response:', err);
-            return this.getSimulatedWeather();
-        }
-    }
+        const slowest = [...this.interactions.values()]
+            .sort((a, b) => b.duration - a.duration)
+            .slice(0, INP_CANDIDATES);
+        this.interactions = new Map(slowest.map(entry => [entry.interactionId, entry]));
 
-    /**
-     * Get simulated weather data (fallback)
-     */
-    getSimulatedWeather() {
-        const forecast = [
-            { day: 'Today', date: 'Dec 2', condition: 'Sunny', emoji: '☀️', forecast: 'Sunny' },
-            { day: 'Tomorrow', date: 'Dec 3', condition: 'Partly Cloudy', emoji: '⛅', forecast: 'Partly cloudy' },
-            { day: 'Wednesday', date: 'Dec 4', condition: 'Thundery', emoji: '⛈️', forecast: 'Thundery showers' },
-            { day: 'Thursday', date: 'Dec 5', condition: 'Rainy', emoji: '🌧️', forecast: 'Rainy' }
-        ];
-        return forecast;
+        const entry = slowest[Math.min(slowest.length - 1, Math.floor(this.interactionCount / 50))];
+        if (entry) this.record('INP', entry.duration, entry.target);
     }
 
-    /**
-     * Map NEA forecast text to user-friendly condition
-     */
-    mapWeatherCondition(forecast) {
-        const text = forecast.toLowerCase();
-        
-        if (text.includes('sunny') || text.includes('fine')) return 'Sunny';
-        if (text.includes('partly')) return 'Partly Cloudy';
-        if (text.includes('cloudy') || text.includes('overcast')) return 'Cloudy';
-        if (text.includes('rain')) return 'Rainy';
-        if (text.includes('thunder') || text.includes('storm')) return 'Thundery';
-        if (text.includes('showers')) return 'Showers';
-        if (text.includes('wind')) return 'Windy';
-        
-        return forecast;
-    }
+    record(name, value, node = null) {
+        this.metrics[name] = {
+            name,
+            value: name === 'CLS' ? Number(value.toFixed(4)) : Math.round(value),
+            rating: rateVital(name, value),
+            section: this.getSection(node),
+            connection: navigator.connection?.effectiveType || 'unknown'
+        };
 
-    /**
-     * Get emoji for weather condition
-     */
-    getWeatherEmoji(forecast) {
-        const text = forecast.toLowerCase();
-        
-        if (text.includes('sunny') || text.includes('fine')) return '☀️';
-        if (text.includes('partly')) return '⛅';
-        if (text.includes('cloudy') || text.includes('overcast')) return '☁️';
-        if (text.includes('thunder') || text.includes('storm')) return '⛈️';
-        if (text.includes('showers')) return '🌧️';
-        if (text.includes('rain')) return '🌧️';
-        if (text.includes('wind')) return '💨';
-        
-        return '🌤️';
+        // Shifts and interactions arrive in bursts; repaint once per frame
+        if (this.overlay && !this.overlayFrame) {
+            this.overlayFrame = requestAnimationFrame(() => {
+                this.overlayFrame = null;
+                this.updateOverlay();
+            });
+        }
     }
 
     /**
-     * Format date to day name
+     * The section or dialog holding the element, or the routed section when there is none
      */
-    formatDay(date) {
-        const today = new Date();
-        const tomorrow = new Date(today);
-        tomorrow.setDate(tomorrow.getDate() + 1);
+    getSection(node) {
+        const element = node?.nodeType === Node.TEXT_NODE ? node.parentElement : node;
+        const container = element?.closest?.('section[id], dialog[id], header, footer');
+        if (container) return container.id || container.localName;
 
-        if (date.toDateString() === today.toDateString()) {
-            return 'Today';
-        } else if (date.toDateString() === tomorrow.toDateString()) {
-            return 'Tomorrow';
-        } else {
-            return date.toLocaleDateString('en-SG', { weekday: 'short' });
-        }
+        const [, section] = window.location.hash.split('/');
+        return section || 'home';
     }
 
     /**
-     * Render 4-day weather forecast
+     * Queue metrics that changed since the last report and send them as one beacon
      */
-    renderWeather(data) {
-        if (!this.weatherGrid) return;
+    flush() {
+        // Reporting is off: don't build up a queue that's never sent
+        const { ENDPOINT } = CONFIG.PERFORMANCE;
+        if (!ENDPOINT) return;
 
-        this.weatherGrid.innerHTML = data.map(weather => `
-            <div class="weather-card" role="region" aria-label="Weather for ${weather.day}">
-                <h4>${weather.day}</h4>
-                <p class="weather-date">${weather.date}</p>
-                <div style="font-size: 2.5rem; margin: 1rem 0;">${weather.emoji}</div>
-                <p class="weather-condition"><strong>${weather.condition}</strong></p>
-                <p style="font-size: 0.9rem; opacity: 0.9;">{{ weather.forecast }}</p>
-            </div>
-        `).join('');
+        Object.values(this.metrics).forEach(metric => {
+            if (this.reported[metric.name] === metric.value) return;
+            this.reported[metric.name] = metric.value;
+            this.queue.push({ ...metric, timestamp: Date.now() });
+        });
 
-        console.log('Weather cards rendered successfully');
-    }
+        if (this.queue.length === 0) return;
 
-    /**
-     * Render weather fallback UI
-     */
-    renderWeatherFallback() {
-        if (!this.weatherGrid) return;
+        // A string body goes as text/plain, which needs no CORS preflight to a local collector
+        const body = JSON.stringify({ page: window.location.pathname, metrics: this.queue });
+        this.queue = [];
 
-        this.weatherGrid.innerHTML = `
-            <div class="weather-card" style="grid-column: 1/-1; text-align: center;">
-                <p style="margin: 0; opacity: 0.7;">
-                    Unable to fetch live weather data. Please check the NEA API connection.
-                </p>
-            </div>
-        `;
+        if (navigator.sendBeacon?.(ENDPOINT, body)) return;
+
+        fetch(ENDPOINT, { method: 'POST', body, keepalive: true }).catch(err => {
+            console.warn('Could not report Web Vitals:', err);
+        });
     }
 
-    init() {
-        this.fetchWeather();
-        
-        // Refresh weather every 10 minutes
-        setInterval(() => this.fetchWeather(), CONFIG.WEATHER_CACHE_TIME);
+    createOverlay() {
+        this.overlay = document.createElement('aside');
+        this.overlay.className = 'perf-overlay';
+        this.overlay.setAttribute('aria-label', 'Web Vitals');
+        document.body.appendChild(this.overlay);
+        this.updateOverlay();
+    }
+
+    updateOverlay() {
+        renderInto(this.overlay, html`
+            <table>
+                ${Object.keys(VITALS_THRESHOLDS).map(name => {
+                    const metric = this.metrics[name];
+                    return html`
+                        <tr class="perf-${metric?.rating || 'pending'}">
+                            <th scope="row">${name}</th>
+                            <td>${metric ? (name === 'CLS' ? metric.value : `${metric.value} ms`) : '…'}</td>
+                            <td>${metric ? metric.section : ''}</td>
+                        </tr>
+                    `;
+                })}
+            </table>
+            <p>${navigator.connection?.effectiveType || 'unknown'} connection</p>
+        `);
     }
 }
 
 // ============================================
-// SMOOTH SCROLL NAVIGATION
+// SERVICE WORKER REGISTRATION (Offline Support)
 // ============================================
 
-class SmoothScroll {
-    constructor() {
-        this.init();
-    }
+/**
+ * Send a crew action to the squad backend, if one is configured. While offline
+ * the service worker queues it and replays it in order once the connection is back.
+ */
+async function sendCrewAction(type, payload) {
+    if (!CONFIG.API.SYNC) return false;
 
-    init() {
-        document.querySelectorAll('a[href^="#"]').forEach(link => {
-            addListener(link, 'click', (e) => this.handleScroll(e));
+    try {
+        const response = await fetch(CONFIG.API.SYNC, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ type, payload, createdAt: new Date().toISOString() })
         });
-    }
 
-    handleScroll(e) {
-        const href = e.currentTarget.getAttribute('href');
-        if (href && href !== '#') {
-            const target = document.querySelector(href);
-            if (target) {
-                e.preventDefault();
-                target.scrollIntoView({ behavior: 'smooth', block: 'start' });
-                announceToScreenReader(`Navigated to ${href}`);
-            }
+        if (!response.ok) {
+            console.warn(`Crew action ${type} not accepted: ${response.status}`);
         }
+        return response.ok;
+    } catch (err) {
+        // Only reached when no service worker is controlling the page yet
+        console.warn(`Crew action ${type} could not be sent:`, err);
+        return false;
     }
 }
 
-// ============================================
-// PERFORMANCE MONITORING
-// ============================================
-
-class PerformanceMonitor {
+class ServiceWorkerManager {
     constructor() {
         this.init();
     }
 
     init() {
-        // Log Core Web Vitals
-        if ('PerformanceObserver' in window) {
-            try {
-                // Largest Contentful Paint (LCP)
-                const lcpObserver = new PerformanceObserver((list) => {
-                    const entries = list.getEntries();
-                    const lastEntry = entries[entries.length - 1];
-                    console.log('LCP:', lastEntry.renderTime || lastEntry.loadTime);
+        if ('serviceWorker' in navigator) {
+            // The worker only intercepts and queues crew actions when it's told where they go
+            const script = CONFIG.API.SYNC ? `/sw.js?sync=${encodeURIComponent(CONFIG.API.SYNC)}` : '/sw.js';
+            navigator.serviceWorker.register(script)
+                .then(() => this.replayQueue())
+                .catch(err => {
+                    console.log('SW registration failed:', err);
                 });
-                lcpObserver.observe({ entryTypes: ['largest-contentful-paint'] });
 
-                // First Input Delay (FID)
-                const fidObserver = new PerformanceObserver((list) => {
-                    const entries = list.getEntries();
-                    entries.forEach(entry => {
-                        console.log('FID:', entry.processingDuration);
-                    });
-                });
-                fidObserver.observe({ entryTypes: ['first-input'] });
-            } catch (err) {
-                console.log('PerformanceObserver not fully supported');
-            }
+            addListener(navigator.serviceWorker, 'message', (e) => this.handleMessage(e.data));
+
+            addListener(window, 'online', () => {
+                announceToScreenReader(t(CONFIG.API.SYNC ? 'sync.online' : 'sync.onlineLocal'));
+                this.replayQueue();
+            });
         }
 
-        // Page load time
-        window.addEventListener('load', () => {
-            const loadTime = performance.timing.loadEventEnd - performance.timing.navigationStart;
-            console.log('Page Load Time:', loadTime, 'ms');
+        addListener(window, 'offline', () => {
+            announceToScreenReader(t(CONFIG.API.SYNC ? 'sync.offline' : 'sync.offlineLocal'));
         });
     }
-}
 
-// ============================================
-// SERVICE WORKER REGISTRATION (Offline Support)
-// ============================================
+    /**
+     * Ask the service worker to send anything queued while offline
+     */
+    replayQueue() {
+        if (!CONFIG.API.SYNC || !navigator.onLine) return;
 
-class ServiceWorkerManager {
-    constructor() {
-        this.init();
+        navigator.serviceWorker.ready.then(registration => {
+            registration.active?.postMessage({ type: 'REPLAY_QUEUE' });
+        });
     }
 
-    init() {
-        if ('serviceWorker' in navigator) {
-            navigator.serviceWorker.register('/sw.js').catch(err => {
-                console.log('SW registration failed:', err);
-            });
+    handleMessage(message) {
+        if (message?.type === 'ACTION_QUEUED') {
+            announceToScreenReader(t('sync.queued', { count: message.pending }));
+        } else if (message?.type === 'QUEUE_REPLAYED') {
+            announceToScreenReader(t('sync.replayed', { count: message.sent }));
+            console.log('Offline queue replayed:', message);
+        } else if (message?.type === 'OPEN_URL') {
+            // A reminder was clicked while this tab was open
+            window.location.assign(message.url);
         }
     }
 }
@@ -638,30 +7468,112 @@ class App {
     }
 
     initializeApp() {
+        const start = () => this.init().catch(err => this.handleInitError(err));
+
         // Wait for DOM to be fully loaded
         if (document.readyState === 'loading') {
-            document.addEventListener('DOMContentLoaded', () => this.init());
+            document.addEventListener('DOMContentLoaded', start);
         } else {
-            this.init();
+            start();
         }
     }
 
-    init() {
+    /**
+     * Say so instead of leaving a half-built page
+     */
+    handleInitError(err) {
+        console.error('ShoreSquad failed to start:', err);
+
+        const banner = document.getElementById('app-error');
+        if (!banner) return;
+
+        document.getElementById('app-error-message').textContent = t('app.startFailed');
+        const reloadBtn = document.getElementById('app-reload-btn');
+        reloadBtn.textContent = t('app.reload');
+        addListener(reloadBtn, 'click', () => window.location.reload());
+        banner.hidden = false;
+    }
+
+    /**
+     * Open saved data, saying so if it's slow. Messages aren't loaded yet (the language
+     * is saved data too), so the notice keeps its English markup.
+     */
+    async loadStorage() {
+        const notice = document.getElementById('app-loading');
+        const slow = setTimeout(() => {
+            if (notice) notice.hidden = false;
+        }, STORAGE_SLOW_OPEN);
+
+        try {
+            await Storage.init();
+        } finally {
+            clearTimeout(slow);
+            if (notice) notice.hidden = true;
+        }
+    }
+
+    async init() {
         console.log('🌊 ShoreSquad App Initializing...');
 
+        // Managers read saved data as they start, so load and migrate it first
+        new StorageErrorNotice();
+        await this.loadStorage();
+
+        // Messages are needed for the first render: the saved language, else the browser's
+        await I18n.use(Storage.get('language') || I18n.detect());
+
+        // Shared state; managers update it through actions and subscribe to what they render
+        const store = new Store(createInitialState());
+        const actions = createActions(store);
+        persistState(store);
+        this.store = store;
+        this.actions = actions;
+
         // Initialize all managers
-        new NavigationManager();
-        new ModalManager();
-        new FilterManager();
-        new LazyLoader();
-        new SmoothScroll();
-        new PerformanceMonitor();
-        new ServiceWorkerManager();
+        const impactManager = new ImpactManager({ store });
+        const cleanupManager = new CleanupManager({ store, actions, impactManager });
+        const weatherManager = new WeatherManager({ store, actions });
+
+        this.managers = {
+            navigation: new NavigationManager(),
+            language: new LanguageManager({ store, actions }),
+            crew: new CrewManager({ store, actions, cleanupManager }),
+            modal: new ModalManager({ store, actions }),
+            impact: impactManager,
+            data: new DataManager({ impactManager }),
+            cleanups: cleanupManager,
+            events: new EventManager({ store, actions, cleanupManager }),
+            crewRsvps: new CrewRsvpManager({ store, cleanupManager }),
+            attendance: new AttendanceManager({ store, actions, cleanupManager }),
+            reminders: new ReminderManager({ store, actions, cleanupManager }),
+            tides: new TideManager({ actions }),
+            map: new CleanupMap({ store, cleanupManager }),
+            filters: new FilterManager({ store, actions }),
+            location: new LocationManager({ store, actions }),
+            lazyLoader: new LazyLoader(),
+            smoothScroll: new SmoothScroll(),
+            performance: new PerformanceMonitor(),
+            serviceWorker: new ServiceWorkerManager(),
+            weather: weatherManager
+        };
 
         // Initialize weather
-        const weatherManager = new WeatherManager();
         weatherManager.init();
 
+        // Route deep links once everything is in place
+        this.managers.router = new Router({
+            store,
+            cleanupManager,
+            weatherManager,
+            attendanceManager: this.managers.attendance
+        });
+        this.managers.search = new SearchManager({
+            store,
+            cleanupManager,
+            map: this.managers.map,
+            router: this.managers.router
+        });
+
         // Load user profile if exists
         this.loadUserProfile();
 
@@ -669,10 +7581,10 @@ class App {
     }
 
     loadUserProfile() {
-        const userProfile = Storage.get('user_profile');
+        const userProfile = this.store.getState().profile;
         if (userProfile) {
             console.log('Welcome back!', userProfile.name);
-            announceToScreenReader(`Welcome back, ${userProfile.name}!`);
+            announceToScreenReader(t('join.welcomeBack', { name: userProfile.name }));
         }
     }
 }
@@ -684,10 +7596,20 @@ class App {
 // Start the app when script loads
 const app = new App();
 
-// Expose for debugging
+// Expose for debugging; store and managers are filled in once the app has started
 window.ShoreSquad = {
     app,
+    get store() {
+        return app.store;
+    },
+    get actions() {
+        return app.actions;
+    },
+    get managers() {
+        return app.managers;
+    },
     Storage,
+    I18n,
     CONFIG,
     announceToScreenReader
 };
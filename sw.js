@@ -0,0 +1,295 @@
+/**
+ * ShoreSquad - Service Worker
+ * Offline-first app shell, last-good NEA forecasts, queued crew actions and notification clicks
+ */
+
+// ============================================
+// CONFIGURATION & CONSTANTS
+// ============================================
+
+// Bump whenever APP_SHELL changes so installs fetch the new list and drop the old cache
+const CACHE_VERSION = 'v2';
+const SHELL_CACHE = `shoresquad-shell-${CACHE_VERSION}`;
+const API_CACHE = `shoresquad-api-${CACHE_VERSION}`;
+
+const APP_SHELL = [
+    '/',
+    '/index.html',
+    '/css/styles.css',
+    '/js/app.js',
+    '/manifest.json',
+    '/assets/icon.svg',
+    '/data/singapore-coastline.json',
+    '/data/tides.json',
+    '/data/locales/zh.json',
+    '/data/locales/ms.json',
+    '/data/locales/ta.json'
+];
+
+// NEA weather endpoints (data.gov.sg)
+const API_HOST = 'api.data.gov.sg';
+
+// Crew actions (joins, RSVPs, impact logs) are POSTed to CONFIG.API.SYNC, which the page
+// passes as ?sync= when it registers this worker. Without one nothing is intercepted or queued.
+const SYNC_PARAM = new URL(self.location.href).searchParams.get('sync');
+const SYNC_URL = SYNC_PARAM ? new URL(SYNC_PARAM, self.location.origin).href : null;
+const SYNC_TAG = 'shoresquad-actions';
+
+// Replies that say "try again later" rather than "this action is wrong"
+const RETRY_STATUSES = [404, 405, 408, 429];
+
+const DB_NAME = 'shoresquad-sw';
+const DB_VERSION = 1;
+const QUEUE_STORE = 'action-queue';
+
+// ============================================
+// INDEXEDDB ACTION QUEUE
+// ============================================
+
+/**
+ * Open the queue database, creating the store on first run
+ */
+function openQueueDB() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            // Auto-increment keys keep actions in the order they were made
+            request.result.createObjectStore(QUEUE_STORE, { keyPath: 'id', autoIncrement: true });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Run a single request against the queue store
+ */
+async function withQueueStore(mode, callback) {
+    const db = await openQueueDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(QUEUE_STORE, mode);
+        const request = callback(tx.objectStore(QUEUE_STORE));
+        tx.oncomplete = () => resolve(request?.result);
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+const ActionQueue = {
+    add: (action) => withQueueStore('readwrite', store => store.add(action)),
+    getAll: () => withQueueStore('readonly', store => store.getAll()),
+    remove: (id) => withQueueStore('readwrite', store => store.delete(id)),
+    count: () => withQueueStore('readonly', store => store.count())
+};
+
+// ============================================
+// CLIENT MESSAGING
+// ============================================
+
+async function notifyClients(message) {
+    const clients = await self.clients.matchAll({ includeUncontrolled: true });
+    clients.forEach(client => client.postMessage(message));
+}
+
+// ============================================
+// LIFECYCLE
+// ============================================
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key.startsWith('shoresquad-') && ![SHELL_CACHE, API_CACHE].includes(key))
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+// ============================================
+// FETCH STRATEGIES
+// ============================================
+
+/**
+ * App shell: serve from cache straight away, refresh the cache in the background
+ */
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+
+    const network = fetch(request)
+        .then(response => {
+            if (response.ok) cache.put(request, response.clone());
+            return response;
+        })
+        .catch(() => null);
+
+    if (cached) return cached;
+
+    const response = await network;
+    if (response) return response;
+
+    // Offline and never cached: fall back to the shell for page loads
+    if (request.mode === 'navigate') {
+        const shell = await cache.match('/index.html');
+        if (shell) return shell;
+    }
+    return Response.error();
+}
+
+/**
+ * NEA weather: always try the network, fall back to the last good response
+ */
+async function networkFirst(request) {
+    const cache = await caches.open(API_CACHE);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    } catch (err) {
+        const cached = await cache.match(request);
+        if (cached) return cached;
+        throw err;
+    }
+}
+
+/**
+ * Crew actions: send now if nothing is waiting, otherwise queue behind earlier actions
+ */
+async function sendOrQueueAction(request) {
+    const body = await request.clone().text();
+
+    if (await ActionQueue.count() === 0) {
+        try {
+            return await fetch(request);
+        } catch (err) {
+            // Offline - fall through and queue
+        }
+    }
+
+    await ActionQueue.add({ url: request.url, body, queuedAt: Date.now() });
+    await registerReplay();
+    notifyClients({ type: 'ACTION_QUEUED', pending: await ActionQueue.count() });
+
+    return new Response(JSON.stringify({ queued: true }), {
+        status: 202,
+        headers: { 'Content-Type': 'application/json' }
+    });
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+
+    if (SYNC_URL && request.method === 'POST' && request.url === SYNC_URL) {
+        event.respondWith(sendOrQueueAction(request));
+        return;
+    }
+
+    if (request.method !== 'GET') return;
+
+    if (url.hostname === API_HOST) {
+        event.respondWith(networkFirst(request));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(staleWhileRevalidate(request));
+    }
+});
+
+// ============================================
+// QUEUE REPLAY
+// ============================================
+
+/**
+ * Ask for a Background Sync; browsers without it replay when the page reports it's online
+ */
+async function registerReplay() {
+    if (self.registration.sync) {
+        try {
+            await self.registration.sync.register(SYNC_TAG);
+        } catch (err) {
+            console.log('Background sync unavailable:', err);
+        }
+    }
+}
+
+let replaying = null;
+
+/**
+ * Replay queued actions in order, stopping at the first network failure
+ */
+function replayQueue() {
+    if (!replaying) {
+        replaying = replayActions().finally(() => {
+            replaying = null;
+        });
+    }
+    return replaying;
+}
+
+async function replayActions() {
+    const actions = await ActionQueue.getAll();
+    let sent = 0;
+
+    for (const action of actions) {
+        // A network error rejects here, keeping this and later actions for the next attempt
+        const response = await fetch(action.url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: action.body
+        });
+
+        // Server errors, a missing endpoint and rate limits are retried later;
+        // any other rejection is about the action itself, so it's dropped
+        if (response.status >= 500 || RETRY_STATUSES.includes(response.status)) break;
+        if (!response.ok) console.warn('Queued action rejected:', response.status, action.body);
+
+        await ActionQueue.remove(action.id);
+        sent++;
+    }
+
+    const pending = await ActionQueue.count();
+    if (sent > 0) notifyClients({ type: 'QUEUE_REPLAYED', sent, pending });
+    return pending;
+}
+
+self.addEventListener('sync', (event) => {
+    if (event.tag === SYNC_TAG) {
+        event.waitUntil(replayQueue());
+    }
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'REPLAY_QUEUE') {
+        event.waitUntil(replayQueue().catch(err => console.log('Replay deferred:', err.message)));
+    }
+});
+
+// ============================================
+// NOTIFICATIONS
+// ============================================
+
+/**
+ * Cleanup reminders and forecast alerts carry the cleanup's URL. Show it in an
+ * open ShoreSquad tab if there is one, otherwise open a new window.
+ */
+async function openFromNotification(url) {
+    const [client] = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    if (!client) return self.clients.openWindow(url);
+
+    await client.focus();
+    client.postMessage({ type: 'OPEN_URL', url });
+}
+
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    event.waitUntil(openFromNotification(event.notification.data?.url || '/'));
+});